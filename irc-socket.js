@@ -8,9 +8,14 @@
  */
 
 var EventEmitter = require("events").EventEmitter;
+var stream = require("stream");
+var fs = require("fs");
+var crypto = require("crypto");
 var inspect = require("util").inspect;
 var format = require("util").format;
+var NativePromise = global.Promise;
 var Promise = require("bluebird");
+var iconv = require("iconv-lite");
 var rresult = require("r-result");
 var Ok = rresult.Ok;
 var Fail = rresult.Fail;
@@ -45,401 +50,3422 @@ var copyJsonMaybe = function (object) {
     return JSON.parse(JSON.stringify(object));
 };
 
-var endsWith = function (string, postfix) {
-    return string.lastIndexOf(postfix) === string.length - postfix.length;
+var tagEscapes = {
+    ":": ";",
+    "s": " ",
+    "\\": "\\",
+    "r": "\r",
+    "n": "\n"
 };
 
-var failures = {
-    killed: {},
-    nicknamesUnavailable: {},
-    badProxyConfiguration: {},
-    missingRequiredCapabilities: {},
-    badPassword: {},
-    socketEnded: {}
+// Unescapes an IRCv3 message tag value.
+// Unknown escapes are the escaped character, and a trailing backslash is dropped.
+var unescapeTag = function (value) {
+    return value.replace(/\\(.?)/g, function (_, character) {
+        return Object.prototype.hasOwnProperty.call(tagEscapes, character) ? tagEscapes[character] : character;
+    });
 };
 
-var Socket = module.exports = function Socket (config, netSocket) {
-    var socket = Object.create(Socket.prototype);
+// Parses a prefix into its parts. Server names are the host.
+var parsePrefix = function (prefix) {
+    var userIndex = prefix.indexOf("!");
+    var hostIndex = prefix.indexOf("@");
 
-    // Internal implementation values.
-    socket.impl = netSocket || config.socket;
-    // status := ["initialized", "connecting", "starting", "running", "closed"]
-    socket.status = "initialized";
-    socket.startupPromise = new Promise(function (resolve, reject) {
-        socket.resolvePromise = resolve;
-        socket.rejectPromise = reject;
+    if (userIndex === -1 && hostIndex === -1) {
+        var isServer = prefix.indexOf(".") !== -1;
+
+        return {
+            raw: prefix,
+            nick: isServer ? null : prefix,
+            user: null,
+            host: isServer ? prefix : null,
+            isServer: isServer
+        };
+    }
+
+    var nickEnd = userIndex !== -1 ? userIndex : hostIndex;
+
+    return {
+        raw: prefix,
+        nick: prefix.slice(0, nickEnd),
+        user: userIndex === -1 ? null : prefix.slice(userIndex + 1, hostIndex === -1 ? prefix.length : hostIndex),
+        host: hostIndex === -1 ? null : prefix.slice(hostIndex + 1),
+        isServer: false
+    };
+};
+
+// Parses a line into {raw, tags, time, prefix, command, params}.
+//
+// Tags are unescaped, and tags without values have the empty string as
+// their value. When there is a valid server-time `time` tag, `time` is
+// its Date. The trailing parameter is the last of the params, without
+// its colon. Prefix is null when the line doesn't have one.
+var parseMessage = function (line) {
+    var position = 0;
+
+    var nextToken = function () {
+        while (line.charAt(position) === " ") {
+            position += 1;
+        }
+
+        var end = line.indexOf(" ", position);
+        end = end === -1 ? line.length : end;
+
+        var token = line.slice(position, end);
+        position = end;
+        return token;
+    };
+
+    var message = {
+        raw: line,
+        tags: {},
+        time: undefined,
+        prefix: null,
+        command: "",
+        params: []
+    };
+
+    if (line.charAt(0) === "@") {
+        nextToken().slice(1).split(";")
+        .filter(function (tag) { return tag !== ""; })
+        .forEach(function (tag) {
+            var equalsIndex = tag.indexOf("=");
+
+            if (equalsIndex === -1) {
+                message.tags[tag] = "";
+            } else {
+                message.tags[tag.slice(0, equalsIndex)] = unescapeTag(tag.slice(equalsIndex + 1));
+            }
+        });
+
+        if (message.tags.time) {
+            var time = new Date(message.tags.time);
+            message.time = isNaN(time.getTime()) ? undefined : time;
+        }
+    }
+
+    while (line.charAt(position) === " ") {
+        position += 1;
+    }
+
+    if (line.charAt(position) === ":") {
+        message.prefix = parsePrefix(nextToken().slice(1));
+    }
+
+    message.command = nextToken().toUpperCase();
+
+    while (position < line.length) {
+        while (line.charAt(position) === " ") {
+            position += 1;
+        }
+
+        if (position >= line.length) {
+            break;
+        }
+
+        if (line.charAt(position) === ":") {
+            message.params.push(line.slice(position + 1));
+            break;
+        }
+
+        message.params.push(nextToken());
+    }
+
+    return message;
+};
+
+// Parses the value of the PREFIX ISUPPORT token, e.g. "(ov)@+",
+// into [{mode, prefix}] from highest to lowest rank.
+var parsePrefixSupport = function (value) {
+    var match = /^\(([^)]*)\)(.*)$/.exec(value);
+
+    if (!match) {
+        return [];
+    }
+
+    return match[1].split("").map(function (mode, index) {
+        return { mode: mode, prefix: match[2].charAt(index) };
     });
+};
 
-    // IRC Connection Handshake Options
-    socket.proxy = config.proxy;
-    socket.password = config.password;
-    socket.capabilities = copyJsonMaybe(config.capabilities);
-    socket.username = config.username;
-    socket.realname = config.realname;
-    socket.nicknames = config.nicknames.slice();
+// Parses the value of the CHANMODES ISUPPORT token, e.g. "b,k,l,imnpst",
+// into the arrays of modes of each type.
+var parseChanmodesSupport = function (value) {
+    var types = value.split(",");
 
-    socket.connectOptions = typeof config.connectOptions === "object" ? Object.create(config.connectOptions) : {};
-    socket.connectOptions.port = config.port || 6667;
-    socket.connectOptions.host = config.server;
+    return {
+        a: (types[0] || "").split(""),
+        b: (types[1] || "").split(""),
+        c: (types[2] || "").split(""),
+        d: (types[3] || "").split("")
+    };
+};
 
-    // Socket Timeout variables.
-    // After five minutes without a server response, send a PONG.
-    // If the server doesn't PING back (or send any message really)
-    // within five minutes, we'll have assumed we've be DQed, and
-    // end the socket.
-    var timeout = null;
-    var timeoutPeriod = config.timeout || 5 * 60 * 1000;
-    var onSilence = function () {
-        timeout = setTimeout(onNoPong, timeoutPeriod);
-        socket.raw("PING :ignored");
+// Parses the value of the TARGMAX ISUPPORT token, e.g. "PRIVMSG:4,JOIN:",
+// into an object mapping commands to limits. No limit is Infinity.
+var parseTargmaxSupport = function (value) {
+    var targmax = {};
+
+    value.split(",")
+    .filter(function (entry) { return entry !== ""; })
+    .forEach(function (entry) {
+        var colonIndex = entry.indexOf(":");
+        var command = (colonIndex === -1 ? entry : entry.slice(0, colonIndex)).toUpperCase();
+        var limit = colonIndex === -1 ? "" : entry.slice(colonIndex + 1);
+
+        targmax[command] = limit === "" ? Infinity : Number(limit);
+    });
+
+    return targmax;
+};
+
+var supportParsers = {
+    PREFIX: parsePrefixSupport,
+    CHANMODES: parseChanmodesSupport,
+    TARGMAX: parseTargmaxSupport
+};
+
+// Splits text into grapheme clusters where Intl.Segmenter is available,
+// and into code points otherwise.
+var graphemes = function (text) {
+    if (typeof Intl === "object" && typeof Intl.Segmenter === "function") {
+        return Array.from(new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(text), function (segment) {
+            return segment.segment;
+        });
+    }
+
+    // Without Intl.Segmenter, keep combining marks, variation selectors,
+    // and zero width joiner sequences attached to the character before them.
+    var extender = /^[\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF\u200D\u20D0-\u20FF\uFE00-\uFE0F\uFE20-\uFE2F]$/;
+
+    return Array.from(text).reduce(function (clusters, character) {
+        var last = clusters.length - 1;
+
+        if (last !== -1 && (extender.test(character) || /\u200D$/.test(clusters[last]))) {
+            clusters[last] += character;
+        } else {
+            clusters.push(character);
+        }
+
+        return clusters;
+    }, []);
+};
+
+// Splits text into pieces that each encode to at most `maxBytes` bytes,
+// breaking at the last space that fits, or between graphemes for words
+// that don't fit on their own.
+var splitText = function (socket, text, maxBytes) {
+    var pieces = [];
+    var piece = "";
+
+    var fits = function (candidate) {
+        return encodedLength(socket, candidate) <= maxBytes;
     };
-    var onNoPong = function () {
-        socket.emit("timeout");
+
+    graphemes(text).forEach(function (grapheme) {
+        while (piece !== "" && !fits(piece + grapheme)) {
+            var spaceIndex = piece.lastIndexOf(" ");
+
+            if (spaceIndex > 0) {
+                pieces.push(piece.slice(0, spaceIndex));
+                piece = piece.slice(spaceIndex + 1);
+            } else {
+                pieces.push(piece);
+                piece = "";
+            }
+        }
+
+        piece += grapheme;
+    });
+
+    if (piece !== "") {
+        pieces.push(piece);
+    }
+
+    return pieces;
+};
+
+var lastParam = function (message) {
+    return message.params[message.params.length - 1];
+};
+
+// Compares two nicknames using the server's CASEMAPPING,
+// which is rfc1459 unless the server says otherwise.
+var nicknamesEqual = function (socket, left, right) {
+    var casemapping = socket.support.CASEMAPPING || "rfc1459";
+    var specials = {
+        "rfc1459": /[\[\]\\~]/g,
+        "strict-rfc1459": /[\[\]\\]/g
+    }[casemapping];
+    var specialLowercase = {"[": "{", "]": "}", "\\": "|", "~": "^"};
+
+    var lowercase = function (nickname) {
+        nickname = casemapping === "rfc7613" ?
+            nickname.toLowerCase() :
+            nickname.replace(/[A-Z]/g, function (character) { return character.toLowerCase(); });
+
+        return specials ? nickname.replace(specials, function (character) {
+            return specialLowercase[character];
+        }) : nickname;
     };
 
-    // Data event handling.
-    // Transforms the raw stream of data events into a stream of
-    // one complete line per data event.
-    // Also handles timeouts.
-    var dataHandler = function () {
-        var emitLine = socket.emit.bind(socket, "data");
-        var lastLine = "";
+    return lowercase(left) === lowercase(right);
+};
 
-        var onData = function (data) {
-            // The data event will occassionally only be partially
-            // complete. The last line will not end with "\r\n", and
-            // need to be appended to the beginning of the first line.
-            //
-            // If the last line in the data is complete, then lastLine
-            // will be set to an empty string, and appending an empty
-            // string to a string does nothing.
-            var lines = data.split("\r\n");
-            lines[0] = lastLine + lines[0];
-            lastLine = lines.pop();
-            lines.forEach(function (line) {
-              emitLine(line.normalize());
-            });
+// Parses a capability list (e.g. "sasl=PLAIN,EXTERNAL multi-prefix")
+// into a map of capability names to their values. Capabilities
+// without a value have the empty string as their value.
+var parseCapabilities = function (list) {
+    var capabilities = {};
 
-            // We've got data. Reset the timeout.
-            clearTimeout(timeout);
-            timeout = setTimeout(onSilence, timeoutPeriod);
-        };
+    list.split(" ")
+    .filter(function (token) { return token !== ""; })
+    .forEach(function (token) {
+        var equalsIndex = token.indexOf("=");
 
-        socket.impl.on("data", onData);
-    }();
+        if (equalsIndex === -1) {
+            capabilities[token] = "";
+        } else {
+            capabilities[token.slice(0, equalsIndex)] = token.slice(equalsIndex + 1);
+        }
+    });
 
-    socket.on("data", function (line) {
-        if (line.slice(0, 4) === "PING") {
-            // On PING, respond with a PONG so that we stay connected.
-            socket.raw(["PONG", line.slice(line.indexOf(":"))]);
+    return capabilities;
+};
+
+// Groups capabilities so that each group fits in a single
+// "CAP REQ :..." message within the 512 byte line limit.
+var batchCapabilities = function (capabilities) {
+    var limit = 510 - "CAP REQ :".length;
+    var batches = [];
+    var batch = [];
+    var batchLength = 0;
+
+    capabilities.forEach(function (capability) {
+        var length = Buffer.byteLength(capability);
+
+        if (batch.length !== 0 && batchLength + 1 + length > limit) {
+            batches.push(batch);
+            batch = [];
+            batchLength = 0;
         }
+
+        batchLength += (batch.length === 0 ? 0 : 1) + length;
+        batch.push(capability);
     });
 
-    // Once connected, do the following:
-    // 1. Send WEBIRC if proxy set.
-    // 2. Send PASS if set.
-    // 3. Do capabilities negotiations if set.
-    // 4. Send USER
-    // 5. Send NICK until one is accepted.
-    // 6. Resolve startupPromise.
-    // TODO(Havvy): Refactor and clean up!!!
-    socket.impl.once("connect", function doStartup () {
-        // If `socket.end()` is called before the connect event
-        // fires, then we ignore the connect event, since we are
-        // already ending/ended.
-        if (!socket.startupPromise.isPending()) {
+    if (batch.length !== 0) {
+        batches.push(batch);
+    }
+
+    return batches;
+};
+
+// Sends "CAP REQ" for the capabilities (prefixed with "-" to disable them).
+// The callback is called with whether the server acknowledged the request
+// once the ACK or NAK arrives, or with false if the socket closes first.
+var sendCapabilityRequest = function (socket, capabilities, callback) {
+    socket.capabilityRequests.push({
+        capabilities: capabilities,
+        callback: callback
+    });
+
+    socket.raw(format("CAP REQ :%s", capabilities.join(" ")));
+};
+
+// Finds the pending request that an ACK or NAK for the capabilities is for.
+var takeCapabilityRequest = function (socket, capabilities) {
+    var key = capabilities.slice().sort().join(" ");
+
+    for (var index = 0; index < socket.capabilityRequests.length; index += 1) {
+        if (socket.capabilityRequests[index].capabilities.slice().sort().join(" ") === key) {
+            return socket.capabilityRequests.splice(index, 1)[0];
+        }
+    }
+
+    return null;
+};
+
+var isUtf8 = function (encoding) {
+    return /^utf-?8$/i.test(encoding);
+};
+
+var isIso2022Jp = function (encoding) {
+    return /^iso-?2022-?jp$/i.test(encoding);
+};
+
+// ISO-2022-JP is EUC-JP with escape sequences switching character sets,
+// so it is converted to and from EUC-JP.
+var iso2022JpToEucJp = function (bytes) {
+    var eucJp = [];
+    var characterSet = "ascii";
+
+    for (var index = 0; index < bytes.length; index += 1) {
+        if (bytes[index] === 0x1B) {
+            var escape = bytes.slice(index + 1, index + 3).toString("latin1");
+
+            if (escape === "$B" || escape === "$@") {
+                characterSet = "jisx0208";
+            } else if (escape === "(I") {
+                characterSet = "katakana";
+            } else {
+                characterSet = "ascii";
+            }
+
+            index += 2;
+        } else if (bytes[index] < 0x21 || bytes[index] > 0x7E || characterSet === "ascii") {
+            eucJp.push(bytes[index]);
+        } else if (characterSet === "katakana") {
+            eucJp.push(0x8E, bytes[index] | 0x80);
+        } else {
+            eucJp.push(bytes[index] | 0x80, (bytes[index + 1] || 0) | 0x80);
+            index += 1;
+        }
+    }
+
+    return Buffer.from(eucJp);
+};
+
+var eucJpToIso2022Jp = function (bytes) {
+    var escapes = {
+        ascii: [0x1B, 0x28, 0x42],
+        jisx0208: [0x1B, 0x24, 0x42],
+        katakana: [0x1B, 0x28, 0x49]
+    };
+    var iso2022Jp = [];
+    var characterSet = "ascii";
+
+    var switchTo = function (nextCharacterSet) {
+        if (characterSet !== nextCharacterSet) {
+            Array.prototype.push.apply(iso2022Jp, escapes[nextCharacterSet]);
+            characterSet = nextCharacterSet;
+        }
+    };
+
+    for (var index = 0; index < bytes.length; index += 1) {
+        if (bytes[index] < 0x80) {
+            switchTo("ascii");
+            iso2022Jp.push(bytes[index]);
+        } else if (bytes[index] === 0x8E) {
+            switchTo("katakana");
+            iso2022Jp.push(bytes[index + 1] & 0x7F);
+            index += 1;
+        } else if (bytes[index] === 0x8F) {
+            // JIS X 0212 isn't part of ISO-2022-JP.
+            switchTo("ascii");
+            iso2022Jp.push(0x3F);
+            index += 2;
+        } else {
+            switchTo("jisx0208");
+            iso2022Jp.push(bytes[index] & 0x7F, bytes[index + 1] & 0x7F);
+            index += 1;
+        }
+    }
+
+    switchTo("ascii");
+    return Buffer.from(iso2022Jp);
+};
+
+var encodingExists = function (encoding) {
+    return isIso2022Jp(encoding) || iconv.encodingExists(encoding);
+};
+
+var decodeBytes = function (bytes, encoding) {
+    if (isIso2022Jp(encoding)) {
+        return iconv.decode(iso2022JpToEucJp(bytes), "euc-jp");
+    }
+
+    return iconv.decode(bytes, encoding);
+};
+
+var encodeString = function (string, encoding) {
+    if (isIso2022Jp(encoding)) {
+        return eucJpToIso2022Jp(iconv.encode(string, "euc-jp"));
+    }
+
+    return iconv.encode(string, encoding);
+};
+
+// Decodes a line in the socket's encoding. When the socket's encoding is
+// UTF-8 and the line isn't valid UTF-8, the line is decoded with the fallback
+// encoding instead (if there is one), and a `decodeError` event is emitted.
+var decodeLine = function (socket, bytes) {
+    if (!isUtf8(socket.encoding)) {
+        return decodeBytes(bytes, socket.encoding);
+    }
+
+    var line = bytes.toString("utf-8");
+
+    // Invalid UTF-8 is replaced with U+FFFD, which re-encodes differently.
+    if (Buffer.from(line, "utf-8").equals(bytes)) {
+        return line;
+    }
+
+    if (socket.fallbackEncoding) {
+        line = decodeBytes(bytes, socket.fallbackEncoding);
+    }
+
+    socket.emit("decodeError", {
+        bytes: bytes,
+        encoding: socket.encoding,
+        fallbackEncoding: socket.fallbackEncoding,
+        line: line
+    });
+
+    return line;
+};
+
+var encodedLength = function (socket, string) {
+    return isUtf8(socket.encoding) ? Buffer.byteLength(string) : encodeString(string, socket.encoding).length;
+};
+
+// Commands that are sent immediately, even when the send queue is backlogged.
+var unqueuedCommands = ["PONG", "QUIT"];
+
+// Token bucket: Each line costs one token, plus one more token per
+// `bytesPerToken` bytes if set. Tokens refill one per `refillInterval`
+// milliseconds, up to `burst` tokens.
+var refillSendTokens = function (socket) {
+    var queue = socket.sendQueue;
+    var flood = socket.floodProtection;
+    var now = Date.now();
+
+    queue.tokens = Math.min(flood.burst, queue.tokens + (now - queue.refilledAt) / flood.refillInterval);
+    queue.refilledAt = now;
+};
+
+var sendCost = function (socket, line) {
+    var flood = socket.floodProtection;
+    var cost = 1 + (flood.bytesPerToken ? Math.floor(encodedLength(socket, line) / flood.bytesPerToken) : 0);
+
+    // Otherwise the line could never be sent.
+    return Math.min(cost, flood.burst);
+};
+
+// Hides the secrets in a line sent to or received from the server:
+// passwords of PASS, WEBIRC, and NickServ commands, and SASL payloads.
+var redactLine = function (line) {
+    var head = /^(@[^ ]+ +)?(:[^ ]+ +)?/.exec(line)[0];
+    var rest = line.slice(head.length);
+    var redacted = "<redacted>";
+    var nickServCommands = "(IDENTIFY|GHOST|REGAIN|RECOVER|RELEASE)\\b";
+    var authenticate = /^AUTHENTICATE +(.*)$/i.exec(rest);
+
+    if (/^PASS\b/i.test(rest)) {
+        rest = "PASS " + redacted;
+    } else if (/^WEBIRC +[^ ]+/i.test(rest)) {
+        rest = rest.replace(/^(WEBIRC +)[^ ]+/i, "$1" + redacted);
+    } else if (authenticate) {
+        var payload = authenticate[1];
+        var isNotSecret = payload === "+" || payload === "*" ||
+            Object.prototype.hasOwnProperty.call(saslMechanisms, payload.toUpperCase());
+
+        if (!isNotSecret) {
+            rest = "AUTHENTICATE " + redacted;
+        }
+    } else {
+        rest = rest
+        .replace(new RegExp("^(PRIVMSG +NickServ(?:@[^ ]+)? +:?)" + nickServCommands + ".*$", "i"), "$1$2 " + redacted)
+        .replace(new RegExp("^((?:NS|NICKSERV) +)" + nickServCommands + ".*$", "i"), "$1$2 " + redacted);
+    }
+
+    return head + rest;
+};
+
+// Logs to the `debug` function with a timestamp, where direction
+// is "<-" for lines received, "->" for lines sent, and "--" for
+// state transitions.
+var debugLog = function (socket, direction, text) {
+    if (socket.debug) {
+        socket.debug(format("%s %s %s", new Date().toISOString(), direction, text));
+    }
+};
+
+// Our own handlers of lines from the server, which are given the line
+// and the message parsed from it, and run before the "data" event.
+// Handlers share the parsed message, so they must not change it.
+var addLineHandler = function (socket, handler) {
+    socket.lineHandlers.push(handler);
+};
+
+var removeLineHandler = function (socket, handler) {
+    var index = socket.lineHandlers.indexOf(handler);
+
+    if (index !== -1) {
+        socket.lineHandlers.splice(index, 1);
+    }
+};
+
+var setStatus = function (socket, status) {
+    // An error is followed by a close, and both close the socket.
+    if (socket.status === status) {
+        return;
+    }
+
+    debugLog(socket, "--", format("status %s -> %s", socket.status, status));
+    socket.status = status;
+};
+
+// Chunks are recorded as text when they are valid UTF-8, and as
+// base64 otherwise, so that the exact bytes can be replayed.
+var recordChunk = function (entry, chunk) {
+    var bytes = typeof chunk === "string" ? Buffer.from(chunk, "utf-8") : chunk;
+    var text = bytes.toString("utf-8");
+
+    if (Buffer.from(text, "utf-8").equals(bytes)) {
+        entry.data = text;
+    } else {
+        entry.base64 = bytes.toString("base64");
+    }
+
+    return entry;
+};
+
+var chunkOf = function (entry) {
+    return entry.base64 !== undefined ?
+        Buffer.from(entry.base64, "base64") :
+        Buffer.from(entry.data, "utf-8");
+};
+
+// Records what happens on the implementing socket as JSON lines of
+// `{time, type, ...}` with `time` in milliseconds since the Socket was
+// created. See the Recording and Replaying section of the README.
+var startRecording = function (socket, target) {
+    var start = Date.now();
+    // Appended to, so that each attempt of a ReconnectingSocket is kept.
+    var output = typeof target === "string" ? fs.createWriteStream(target, { flags: "a" }) : target;
+    var isRecording = true;
+
+    var record = function (entry) {
+        if (!isRecording) {
             return;
         }
 
-        socket.status = "starting";
-        socket.emit("connect");
-        timeout = setTimeout(onSilence, timeoutPeriod);
+        var line = { time: Date.now() - start };
+
+        Object.keys(entry).forEach(function (key) {
+            line[key] = entry[key];
+        });
+
+        output.write(JSON.stringify(line) + "\n");
+    };
+
+    // A file that can't be written to stops the recording, not the Socket.
+    if (output !== target) {
+        output.on("error", function (error) {
+            isRecording = false;
+            socket.recordEntry = null;
+            socket.emit("recordError", error);
+        });
+    }
+
+    socket.recordEntry = record;
+
+    socket.impl.on("connect", function () {
+        record({ type: "connect" });
+    });
+
+    socket.impl.on("data", function (chunk) {
+        record(recordChunk({ type: "read" }, chunk));
+    });
+
+    ["end", "timeout"].forEach(function (type) {
+        socket.impl.on(type, function () {
+            record({ type: type });
+        });
+    });
+
+    socket.impl.on("error", function (error) {
+        record({ type: "error", message: error.message });
+    });
+
+    socket.impl.on("close", function () {
+        record({ type: "close" });
+
+        // Streams we were given might be recording other Sockets too.
+        if (output !== target && isRecording) {
+            output.end();
+        }
+    });
+};
+
+var writeLine = function (socket, line) {
+    debugLog(socket, "->", redactLine(line));
+
+    var data, encoding;
+
+    if (isUtf8(socket.encoding)) {
+        data = line + "\r\n";
+        encoding = "utf-8";
+    } else {
+        // Latin-1 maps each byte to one character, so this writes the encoded bytes as is.
+        data = encodeString(line + "\r\n", socket.encoding).toString("latin1");
+        encoding = "latin1";
+    }
+
+    if (socket.recordEntry) {
+        socket.recordEntry({ type: "write", line: redactLine(data.slice(0, -2)) });
+    }
+
+    socket.impl.write(data, encoding);
+};
+
+// Writes as many queued lines as there are tokens for, and schedules
+// the next flush for when there will be enough tokens for the next line.
+var flushSendQueue = function (socket) {
+    var queue = socket.sendQueue;
+
+    refillSendTokens(socket);
+
+    while (queue.lines.length !== 0 && queue.tokens >= sendCost(socket, queue.lines[0])) {
+        queue.tokens -= sendCost(socket, queue.lines[0]);
+        writeLine(socket, queue.lines.shift());
+    }
+
+    if (queue.lines.length === 0) {
+        queue.isBacklogged = false;
+        return;
+    }
+
+    if (queue.timer === null) {
+        var wait = Math.ceil((sendCost(socket, queue.lines[0]) - queue.tokens) * socket.floodProtection.refillInterval);
+
+        queue.timer = setTimeout(function () {
+            queue.timer = null;
+            flushSendQueue(socket);
+        }, wait);
+    }
+};
+
+// Drops the lines that will never be sent because the socket is
+// ending or closed.
+var dropSendQueue = function (socket) {
+    if (socket.sendQueue) {
+        clearTimeout(socket.sendQueue.timer);
+        socket.sendQueue.timer = null;
+        socket.sendQueue.lines = [];
+        socket.sendQueue.isBacklogged = false;
+    }
+};
+
+// Ways of generating nicknames once the configured nicknames run out.
+// Each takes the nickname to base the generated nickname on and which
+// attempt (starting at 1) this is.
+var nicknameStrategies = {
+    underscore: function (base, attempt) {
+        return base + new Array(attempt + 1).join("_");
+    },
+
+    digits: function (base, attempt) {
+        return base + attempt;
+    }
+};
+
+var failures = {
+    killed: {},
+    nicknamesUnavailable: {},
+    badProxyConfiguration: {},
+    missingRequiredCapabilities: {},
+    badPassword: {},
+    saslFailed: {},
+    socketEnded: {},
+    socketError: {},
+    registrationTimedOut: {},
+    banned: {},
+    willBeBanned: {},
+    throttled: {},
+    serverError: {}
+};
+
+// Human readable descriptions of the connect failures.
+var failureMessages = {
+    killed: "The connection closed before registration finished.",
+    nicknamesUnavailable: "None of the nicknames could be used.",
+    badProxyConfiguration: "The server rejected the WEBIRC proxy configuration.",
+    missingRequiredCapabilities: "The server doesn't support the required capabilities.",
+    badPassword: "The server rejected the password.",
+    saslFailed: "SASL authentication failed.",
+    socketEnded: "The socket was ended before registration finished.",
+    socketError: "The socket errored before registration finished.",
+    registrationTimedOut: "Registration didn't finish in time.",
+    banned: "Banned from the server.",
+    willBeBanned: "The server warned that it will ban this connection.",
+    throttled: "The server is throttling connections.",
+    serverError: "The server closed the connection."
+};
+
+var failureName = function (failure) {
+    return Object.keys(failures).filter(function (name) {
+        return failures[name] === failure;
+    })[0];
+};
+
+// Resolves startupPromise with the failure, unless it already resolved.
+// Details are what the handshake was waiting on, the line that caused
+// the failure with its numeric and reason text, the nicknames that
+// were rejected, and anything specific to the failure.
+var failConnecting = function (socket, failure, message, details) {
+    if (socket.startupResult !== null) {
+        return;
+    }
+
+    var failureDetails = {
+        step: socket.handshakeStep,
+        line: message ? message.raw : null,
+        numeric: message && /^[0-9]{3}$/.test(message.command) ? message.command : null,
+        reason: message ? lastParam(message) || null : null,
+        nicknames: socket.rejectedNicknames.slice()
+    };
+
+    Object.keys(details || {}).forEach(function (key) {
+        failureDetails[key] = details[key];
+    });
+
+    socket.failureDetails = failureDetails;
+    socket.resolvePromise(Fail(failure));
+};
+
+// Emits a `handshake` event of the type, along with the current step.
+var emitHandshake = function (socket, type, details) {
+    var event = { type: type, step: socket.handshakeStep };
+
+    Object.keys(details || {}).forEach(function (key) {
+        event[key] = details[key];
+    });
+
+    socket.emit("handshake", event);
+};
+
+// Which connect failure an ERROR line before RPL_WELCOME is.
+// ERROR :Closing Link: <host> (<reason>)
+var errorFailure = function (socket, message) {
+    var reason = lastParam(message) || "";
+
+    if (/throttl/i.test(reason)) {
+        return failures.throttled;
+    } else if (/[KGZD]-?lined|banned/i.test(reason)) {
+        return failures.banned;
+    } else if (socket.proxy && /CGI:IRC|WEBIRC/i.test(reason)) {
+        return failures.badProxyConfiguration;
+    } else {
+        return failures.serverError;
+    }
+};
+
+// Error that `connectAsync` rejects with, where `code` is the name of the
+// connect failure, e.g. "badPassword", and `details` are the failure details.
+var IrcConnectError = function IrcConnectError (failure, details) {
+    Error.call(this);
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, IrcConnectError);
+    }
+
+    this.code = failureName(failure);
+    this.message = failureMessages[this.code];
+    this.failure = failure;
+    this.details = details;
+
+    if (details && details.error) {
+        this.cause = details.error;
+    }
+};
+
+IrcConnectError.prototype = Object.create(Error.prototype, intoPropertyDescriptors({
+    constructor: IrcConnectError,
+    name: "IrcConnectError"
+}));
+
+// Pushes the socket's lines into the readable side of the stream until
+// the socket closes, pausing the underlying socket while the stream's
+// buffer is full. Returns `read`, to call when more can be read, and
+// `stop`, to call when the stream is destroyed.
+var readLinesInto = function (socket, readable) {
+    var isPaused = false;
+
+    var resume = function () {
+        if (isPaused) {
+            isPaused = false;
+            socket.impl.resume();
+        }
+    };
+
+    var onData = function (line) {
+        if (readable.destroyed) {
+            return;
+        }
+
+        if (!readable.push(line) && !isPaused && typeof socket.impl.pause === "function") {
+            isPaused = true;
+            socket.impl.pause();
+        }
+    };
+
+    var onClose = function () {
+        socket.removeListener("data", onData);
+        readable.push(null);
+    };
+
+    if (socket.status === "closed") {
+        readable.push(null);
+    } else {
+        socket.on("data", onData);
+        socket.impl.once("close", onClose);
+    }
+
+    return {
+        read: resume,
+
+        // The consumer stopped early, e.g. by breaking out of `for await`.
+        stop: function () {
+            socket.removeListener("data", onData);
+            socket.impl.removeListener("close", onClose);
+            resume();
+        }
+    };
+};
+
+// Turns the Promise<Result> of connecting into a native Promise
+// of the ready data that rejects with an IrcConnectError.
+var settleConnection = function (startupPromise, getFailureDetails) {
+    return new NativePromise(function (resolve, reject) {
+        startupPromise.then(function (result) {
+            if (result.isOk()) {
+                resolve(result.ok());
+            } else {
+                reject(new IrcConnectError(result.fail(), getFailureDetails()));
+            }
+        }, reject);
+    });
+};
+
+// Reasons a request made with `request` got no reply.
+var requestFailures = {
+    timedOut: {},
+    closed: {},
+    unsupported: {}
+};
+
+// Numerics that end the reply to a command, used to find the end of
+// replies when the server doesn't support labeled-response.
+var defaultEndNumerics = {
+    WHO: ["315"],
+    WHOIS: ["318"],
+    WHOWAS: ["369"],
+    NAMES: ["366"],
+    LIST: ["323"],
+    MOTD: ["376", "422"],
+    LUSERS: ["266"]
+};
+
+// Resolves a pending request, forgetting about it.
+var finishRequest = function (socket, request, result) {
+    var requests = socket.requests;
+
+    clearTimeout(request.timer);
+
+    if (request.label !== null) {
+        delete requests.labeled[request.label];
+    }
+    request.batches.forEach(function (reference) {
+        delete requests.batches[reference];
+    });
+
+    var unlabeledIndex = requests.unlabeled.indexOf(request);
+    if (unlabeledIndex !== -1) {
+        requests.unlabeled.splice(unlabeledIndex, 1);
+    }
+
+    request.resolve(result);
+};
+
+// AUTHENTICATE payloads are base64 encoded and split into 400 byte chunks.
+// When the last chunk is exactly 400 bytes long (or the payload is empty),
+// an extra "+" chunk tells the server that the payload is complete.
+var authenticateChunks = function (payload) {
+    var encoded = Buffer.from(payload, "utf-8").toString("base64");
+    var chunks = [];
+
+    for (var index = 0; index < encoded.length; index += 400) {
+        chunks.push(encoded.slice(index, index + 400));
+    }
+
+    if (encoded.length % 400 === 0) {
+        chunks.push("+");
+    }
+
+    return chunks;
+};
+
+// Parses a SCRAM message (e.g. "r=nonce,s=salt,i=4096") into an object.
+var scramAttributes = function (message) {
+    var attributes = {};
+
+    message.split(",").forEach(function (attribute) {
+        attributes[attribute.charAt(0)] = attribute.slice(2);
+    });
+
+    return attributes;
+};
+
+var xor = function (left, right) {
+    var result = Buffer.alloc(left.length);
+
+    for (var index = 0; index < left.length; index += 1) {
+        result[index] = left[index] ^ right[index];
+    }
+
+    return result;
+};
+
+// SCRAM (RFC 5802) for the given hash algorithm.
+//
+// The returned responder is called once per server challenge:
+// 1. Empty challenge: Sends client-first-message with a fresh nonce.
+// 2. server-first-message: Sends client-final-message with our proof.
+// 3. server-final-message: Verifies the server's signature.
+var scramMechanism = function (hash) {
+    var hmac = function (key, message) {
+        return crypto.createHmac(hash, key).update(message).digest();
+    };
+
+    var digest = function (message) {
+        return crypto.createHash(hash).update(message).digest();
+    };
+
+    return function (sasl) {
+        var username = sasl.account.replace(/=/g, "=3D").replace(/,/g, "=2C");
+        var clientNonce = crypto.randomBytes(18).toString("base64");
+        var clientFirstBare = format("n=%s,r=%s", username, clientNonce);
+        var expectedServerSignature = null;
+        var step = 0;
+
+        return function (challenge) {
+            step += 1;
+
+            if (step === 1) {
+                return "n,," + clientFirstBare;
+            }
+
+            if (step === 2) {
+                var serverFirst = scramAttributes(challenge);
+                var iterations = Number(serverFirst.i);
+
+                if (!serverFirst.r || serverFirst.r.indexOf(clientNonce) !== 0 || !serverFirst.s || !(iterations > 0)) {
+                    return null;
+                }
+
+                var salt = Buffer.from(serverFirst.s, "base64");
+                var saltedPassword = crypto.pbkdf2Sync(sasl.password, salt, iterations, digest("").length, hash);
+                var clientKey = hmac(saltedPassword, "Client Key");
+                var clientFinalWithoutProof = format("c=%s,r=%s", Buffer.from("n,,").toString("base64"), serverFirst.r);
+                var authMessage = [clientFirstBare, challenge, clientFinalWithoutProof].join(",");
+                var clientProof = xor(clientKey, hmac(digest(clientKey), authMessage));
+
+                expectedServerSignature = hmac(hmac(saltedPassword, "Server Key"), authMessage).toString("base64");
+
+                return format("%s,p=%s", clientFinalWithoutProof, clientProof.toString("base64"));
+            }
+
+            if (step === 3 && scramAttributes(challenge).v === expectedServerSignature) {
+                return "";
+            }
+
+            // Either the server's signature is wrong, or the server is not following
+            // the protocol. Either way, the exchange is aborted.
+            return null;
+        };
+    };
+};
+
+// SASL mechanisms, keyed by name.
+//
+// Each mechanism takes the `sasl` configuration and returns a responder.
+// The responder takes each decoded server challenge and returns the payload
+// to respond with, or null to abort the exchange.
+var saslMechanisms = {
+    PLAIN: function (sasl) {
+        return function () {
+            return [sasl.account, sasl.account, sasl.password].join("\0");
+        };
+    },
+
+    EXTERNAL: function (sasl) {
+        return function () {
+            return "";
+        };
+    },
+
+    "SCRAM-SHA-1": scramMechanism("sha1"),
+    "SCRAM-SHA-256": scramMechanism("sha256")
+};
+
+var Socket = module.exports = function Socket (config, netSocket) {
+    var socket = Object.create(Socket.prototype);
+
+    // Internal implementation values.
+    socket.impl = netSocket || config.socket;
+    // Set by `startRecording` when the `record` option is given.
+    socket.recordEntry = null;
+
+    // Record before any other listener reacts to the implementing socket,
+    // so that lines written in response come after what they respond to.
+    if (config.record) {
+        startRecording(socket, config.record);
+    }
+    // status := ["initialized", "connecting", "starting", "running", "closed"]
+    socket.status = "initialized";
+    // lineHandlers := [function (line, message)], see addLineHandler.
+    socket.lineHandlers = [];
+    socket.debug = typeof config.debug === "function" ? config.debug : null;
+    debugLog(socket, "--", "status initialized");
+    // startupResult := null until startupPromise is resolved, then its Result.
+    socket.startupResult = null;
+    socket.startupPromise = new Promise(function (resolve, reject) {
+        socket.resolvePromise = function (result) {
+            if (socket.startupResult === null) {
+                socket.startupResult = result;
+                resolve(result);
+            }
+        };
+        socket.rejectPromise = reject;
+    });
+
+    // Character encoding of lines, and which encoding to decode
+    // lines that aren't valid UTF-8 with when the encoding is UTF-8.
+    socket.encoding = config.encoding || "utf-8";
+    socket.fallbackEncoding = config.fallbackEncoding;
+
+    [socket.encoding, socket.fallbackEncoding].forEach(function (encoding) {
+        if (encoding && !encodingExists(encoding)) {
+            throw new Error(format("Unknown encoding '%s'.", encoding));
+        }
+    });
+
+    // IRC Connection Handshake Options
+    socket.proxy = config.proxy;
+    socket.password = config.password;
+    socket.capabilities = copyJsonMaybe(config.capabilities);
+    socket.username = config.username;
+    socket.realname = config.realname;
+    socket.nicknames = config.nicknames.slice();
+
+    if (config.nicknameGeneration) {
+        var nicknameGeneration = typeof config.nicknameGeneration === "object" ? config.nicknameGeneration : {};
+        var strategy = nicknameGeneration.strategy || "underscore";
+
+        if (typeof strategy !== "function" && !Object.prototype.hasOwnProperty.call(nicknameStrategies, strategy)) {
+            throw new Error(format("Unknown nickname generation strategy '%s'.", strategy));
+        }
+
+        socket.nicknameGeneration = {
+            strategy: typeof strategy === "function" ? strategy : nicknameStrategies[strategy],
+            maxAttempts: nicknameGeneration.maxAttempts || 10,
+            maxLength: nicknameGeneration.maxLength || Infinity
+        };
+    }
+
+    if (config.nicknameRecovery) {
+        var nicknameRecovery = typeof config.nicknameRecovery === "object" ? config.nicknameRecovery : {};
+        var nickserv = typeof nicknameRecovery.nickserv === "string" ?
+            {command: nicknameRecovery.nickserv} :
+            nicknameRecovery.nickserv;
+
+        if (nickserv) {
+            nickserv = {
+                command: (nickserv.command || "GHOST").toUpperCase(),
+                password: nickserv.password
+            };
+
+            if (!includes(["GHOST", "REGAIN"], nickserv.command)) {
+                throw new Error(format("Unknown NickServ recovery command '%s'.", nickserv.command));
+            }
+        }
+
+        socket.nicknameRecovery = {
+            interval: nicknameRecovery.interval || 60 * 1000,
+            nickserv: nickserv
+        };
+    }
+    socket.sasl = copyJsonMaybe(config.sasl);
+
+    // SASL authentication needs capability negotiation.
+    if (socket.sasl) {
+        socket.sasl.mechanisms = (socket.sasl.mechanisms || [socket.sasl.mechanism || "PLAIN"])
+        .map(function (mechanism) {
+            mechanism = mechanism.toUpperCase();
+
+            if (!Object.prototype.hasOwnProperty.call(saslMechanisms, mechanism)) {
+                throw new Error(format("Unknown SASL mechanism '%s'.", mechanism));
+            }
+
+            return mechanism;
+        });
+
+        socket.capabilities = socket.capabilities || {};
+        socket.capabilities.requires = (socket.capabilities.requires || []).concat("sasl");
+    }
+
+    if (socket.capabilities) {
+        socket.capabilities.requires = socket.capabilities.requires || [];
+        socket.capabilities.wants = socket.capabilities.wants || [];
+    }
+
+    // Capability state, kept for the lifetime of the connection.
+    // serverCapabilities := {[name]: value} of what the server advertises.
+    // enabledCapabilities := [name] of what is acknowledged.
+    // capabilityRequests := [{capabilities, callback}] awaiting ACK or NAK.
+    socket.serverCapabilities = {};
+    socket.enabledCapabilities = [];
+    socket.capabilityRequests = [];
+
+    // Our own nick!user@host as the server sees it, with null for
+    // the parts we don't know. Known parts are learned from RPL_WELCOME,
+    // and kept up to date from NICK, RPL_VISIBLEHOST, and CHGHOST.
+    socket.hostmask = {
+        nick: null,
+        user: null,
+        host: null
+    };
+
+    // Whether the server has accepted our registration with RPL_WELCOME.
+    // With `readyAfterMotd`, this is before the socket is running.
+    socket.isWelcomed = false;
+
+    // ISUPPORT (005) tokens mapped to their raw values.
+    socket.support = {};
+
+    // Limits on batches being assembled for `batch` events.
+    if (config.batches) {
+        var batches = typeof config.batches === "object" ? config.batches : {};
+
+        socket.batchLimits = {
+            maxLines: batches.maxLines || 1000,
+            maxAge: batches.maxAge || 60 * 1000
+        };
+    }
+
+    // Outgoing flood protection.
+    if (config.floodProtection) {
+        var floodProtection = typeof config.floodProtection === "object" ? config.floodProtection : {};
+
+        socket.floodProtection = {
+            burst: floodProtection.burst || 5,
+            refillInterval: floodProtection.refillInterval || 2000,
+            bytesPerToken: floodProtection.bytesPerToken || 0,
+            backlog: floodProtection.backlog || 10
+        };
+
+        socket.sendQueue = {
+            lines: [],
+            tokens: socket.floodProtection.burst,
+            refilledAt: Date.now(),
+            timer: null,
+            isBacklogged: false
+        };
+    }
+
+    socket.connectOptions = typeof config.connectOptions === "object" ? Object.create(config.connectOptions) : {};
+    socket.connectOptions.port = config.port || 6667;
+    socket.connectOptions.host = config.server;
+
+    // Whether to wait for the end of the MOTD before being ready.
+    socket.readyAfterMotd = Boolean(config.readyAfterMotd);
+
+    // Milliseconds `quit` waits for the server before destroying the socket.
+    socket.quitTimeout = config.quitTimeout || 10 * 1000;
+    socket.quitPromise = null;
+
+    // Milliseconds from the connect event to RPL_WELCOME before giving up.
+    socket.registrationTimeout = config.registrationTimeout || null;
+
+    // Details about why connecting failed, when there are any.
+    // See `failConnecting`.
+    socket.failureDetails = null;
+
+    // What the handshake is waiting on:
+    // handshakeStep := ["connecting", "capabilities", "sasl", "registration"]
+    socket.handshakeStep = "connecting";
+
+    // [{nickname, numeric, reason}] of the nicknames the server rejected.
+    socket.rejectedNicknames = [];
+
+    // Requests made with `request`, awaiting their replies.
+    // labeled := {[label]: request} for requests sent with a label.
+    // batches := {[reference]: request} for batches of labeled replies.
+    // unlabeled := [request] in the order sent, each ended by its end numerics.
+    socket.requestTimeout = config.requestTimeout || 30 * 1000;
+    socket.endNumerics = Object.create(defaultEndNumerics);
+    Object.keys(config.endNumerics || {}).forEach(function (command) {
+        socket.endNumerics[command.toUpperCase()] = config.endNumerics[command];
+    });
+    socket.requests = {
+        nextLabel: 1,
+        labeled: {},
+        batches: {},
+        unlabeled: []
+    };
+
+    // Socket Timeout variables.
+    // After `pingInterval` (five minutes by default) without a server
+    // response, send a PING. If the server doesn't PONG back (or send
+    // any message really) within `pingTimeout` (also five minutes),
+    // we'll have assumed we've be DQed, and end the socket.
+    var timeout = null;
+    var timeoutPeriod = config.pingInterval || config.timeout || 5 * 60 * 1000;
+    var noPongPeriod = config.pingTimeout || config.timeout || 5 * 60 * 1000;
+    var onSilence = function () {
+        timeout = setTimeout(onNoPong, noPongPeriod);
+        socket.raw("PING :ignored");
+    };
+    var onNoPong = function () {
+        socket.emit("timeout");
+    };
+
+    // Lag probes.
+    // Every `interval`, send a PING with a unique token and time how long
+    // the server takes to PONG it back, averaging the last `samples` lags.
+    // When a probe goes unanswered for `maxLag`, the socket times out.
+    if (config.lagProbes) {
+        var lagProbes = typeof config.lagProbes === "object" ? config.lagProbes : {};
+
+        socket.lagProbes = {
+            interval: lagProbes.interval || 30 * 1000,
+            samples: lagProbes.samples || 5,
+            maxLag: lagProbes.maxLag || Infinity
+        };
+    }
+
+    // lags := [milliseconds] of the most recent answered probes.
+    // probe := {token, sentAt, timer} of the unanswered probe, if any.
+    socket.lags = [];
+    var probe = null;
+    var probeInterval = null;
+    var probeCount = 0;
+
+    var sendProbe = function () {
+        if (probe !== null || socket.status !== "running") {
+            return;
+        }
+
+        probeCount += 1;
+        probe = {
+            token: format("irc-socket-lag-%d-%d", probeCount, Date.now()),
+            sentAt: Date.now(),
+            timer: null
+        };
+
+        if (socket.lagProbes.maxLag !== Infinity) {
+            probe.timer = setTimeout(function () {
+                socket.emit("timeout");
+            }, socket.lagProbes.maxLag);
+        }
+
+        // Written directly, since time spent in the send queue isn't lag.
+        writeLine(socket, "PING :" + probe.token);
+    };
+
+    if (socket.lagProbes) {
+        socket.on("connect", function () {
+            probeInterval = setInterval(sendProbe, socket.lagProbes.interval);
+        });
+
+        addLineHandler(socket, function lagHandler (line, message) {
+            if (message.command !== "PONG" || probe === null || lastParam(message) !== probe.token) {
+                return;
+            }
+
+            var lag = Date.now() - probe.sentAt;
+
+            clearTimeout(probe.timer);
+            probe = null;
+
+            socket.lags.push(lag);
+            if (socket.lags.length > socket.lagProbes.samples) {
+                socket.lags.shift();
+            }
+
+            socket.emit("lag", {
+                lag: lag,
+                average: socket.getLatency()
+            });
+        });
+
+        socket.impl.on("close", function () {
+            clearInterval(probeInterval);
+
+            if (probe !== null) {
+                clearTimeout(probe.timer);
+                probe = null;
+            }
+        });
+    }
+
+    // Data event handling.
+    // Transforms the raw stream of data events into a stream of
+    // one complete line per data event.
+    // Also handles timeouts.
+    var dataHandler = function () {
+        // Each line is parsed once here for all of our own line handlers.
+        var emitLine = function (line) {
+            var message = parseMessage(line);
+            debugLog(socket, "<-", redactLine(line));
+
+            socket.lineHandlers.slice().forEach(function (handler) {
+                handler(line, message);
+            });
+
+            socket.emit("data", line);
+        };
+        var lastLine = Buffer.alloc(0);
+
+        var onData = function (data) {
+            // Lines are split as bytes and then decoded, so that characters
+            // split between data events are decoded correctly, and so that
+            // each line can be decoded on its own.
+            if (typeof data === "string") {
+                data = Buffer.from(data, "utf-8");
+            }
+
+            // The data event will occassionally only be partially
+            // complete. The last line will not end with "\r\n", and
+            // need to be prepended to the next data event's data.
+            var bytes = Buffer.concat([lastLine, data]);
+            var lineStart = 0;
+            var lineFeedIndex;
+
+            while ((lineFeedIndex = bytes.indexOf(0x0A, lineStart)) !== -1) {
+                var lineEnd = lineFeedIndex > lineStart && bytes[lineFeedIndex - 1] === 0x0D ?
+                    lineFeedIndex - 1 :
+                    lineFeedIndex;
+
+                emitLine(decodeLine(socket, bytes.slice(lineStart, lineEnd)).normalize());
+                lineStart = lineFeedIndex + 1;
+            }
+
+            lastLine = bytes.slice(lineStart);
+
+            // We've got data. Reset the timeout.
+            clearTimeout(timeout);
+            timeout = setTimeout(onSilence, timeoutPeriod);
+        };
+
+        socket.impl.on("data", onData);
+    }();
+
+    if (config.parseMessages) {
+        // Parsed again, so that listeners can't change what our handlers see.
+        socket.on("data", function (line) {
+            socket.emit("message", parseMessage(line));
+        });
+    }
+
+    // Assembles batches, emitting each outermost batch once it closes.
+    // batch := {reference, type, params, tags, messages}, where messages
+    // are the parsed messages and nested batches in the batch, in order.
+    if (socket.batchLimits) {
+        // openBatches := {[reference]: {batch, root}}, where root is the
+        // state of the outermost batch: {batch, lines, timer}.
+        var openBatches = {};
+
+        var closeBatch = function (root, isComplete) {
+            clearTimeout(root.timer);
+
+            Object.keys(openBatches).forEach(function (reference) {
+                if (openBatches[reference].root === root) {
+                    delete openBatches[reference];
+                }
+            });
+
+            root.batch.isComplete = isComplete;
+            socket.emit("batch", root.batch);
+        };
+
+        addLineHandler(socket, function batchHandler (line, message) {
+            var parent = typeof message.tags.batch === "string" ? openBatches[message.tags.batch] : undefined;
+            var marker = message.command === "BATCH" ? message.params[0] || "" : "";
+            var root;
+
+            if (marker.charAt(0) === "+") {
+                var batch = {
+                    reference: marker.slice(1),
+                    type: message.params[1],
+                    params: message.params.slice(2),
+                    tags: copyJsonMaybe(message.tags),
+                    messages: []
+                };
+
+                if (parent) {
+                    root = parent.root;
+                    parent.batch.messages.push(batch);
+                } else if (typeof message.tags.batch === "string") {
+                    // Nested in a batch we aren't assembling.
+                    return;
+                } else {
+                    root = { batch: batch, lines: 0, timer: null };
+                    root.timer = setTimeout(function () {
+                        closeBatch(root, false);
+                    }, socket.batchLimits.maxAge);
+                }
+
+                openBatches[batch.reference] = { batch: batch, root: root };
+            } else if (marker.charAt(0) === "-" && openBatches[marker.slice(1)]) {
+                var closed = openBatches[marker.slice(1)];
+                delete openBatches[marker.slice(1)];
+
+                if (closed.root.batch === closed.batch) {
+                    closeBatch(closed.root, true);
+                }
+
+                return;
+            } else if (parent) {
+                root = parent.root;
+                // A copy, since the batch outlives our handlers.
+                parent.batch.messages.push(parseMessage(line));
+            } else {
+                return;
+            }
+
+            root.lines += 1;
+            if (root.lines >= socket.batchLimits.maxLines) {
+                closeBatch(root, false);
+            }
+        });
+
+        socket.impl.on("close", function () {
+            Object.keys(openBatches).forEach(function (reference) {
+                clearTimeout(openBatches[reference].root.timer);
+            });
+
+            openBatches = {};
+        });
+    }
+
+    addLineHandler(socket, function (line, message) {
+        if (message.command === "PING") {
+            // On PING, respond with a PONG so that we stay connected.
+            socket.raw(["PONG", ":" + (lastParam(message) || "")]);
+        }
+    });
+
+    // Tracks the server's and our enabled capabilities.
+    var isServerCapabilityListComplete = true;
+    addLineHandler(socket, function capabilityHandler (line, message) {
+        if (message.command !== "CAP") {
+            return;
+        }
+
+        // CAP <nick> <subcommand> [*] :<capabilities>
+        var capabilityList = lastParam(message) || "";
+        var listed = capabilityList.split(" ").filter(function (token) { return token !== ""; });
+        var enabledBefore = socket.enabledCapabilities.slice();
+
+        var updateEnabled = function (enabled) {
+            var added = enabled.filter(function (capability) {
+                return !includes(enabledBefore, capability);
+            });
+            var removed = enabledBefore.filter(function (capability) {
+                return !includes(enabled, capability);
+            });
+
+            socket.enabledCapabilities = enabled;
+
+            if (added.length !== 0 || removed.length !== 0) {
+                socket.emit("capabilities", {
+                    capabilities: enabled.slice(),
+                    added: added,
+                    removed: removed
+                });
+            }
+        };
+
+        switch (message.params[1]) {
+            case "LS":
+                // A new listing replaces what was previously advertised.
+                if (isServerCapabilityListComplete) {
+                    socket.serverCapabilities = {};
+                }
+
+                var advertised = parseCapabilities(capabilityList);
+                Object.keys(advertised).forEach(function (capability) {
+                    socket.serverCapabilities[capability] = advertised[capability];
+                });
+
+                // CAP <nick> LS * :<capabilities>
+                // More capabilities are coming in following lines.
+                isServerCapabilityListComplete = !(message.params.length === 4 && message.params[2] === "*");
+                return;
+
+            case "NEW":
+                var added = parseCapabilities(capabilityList);
+                Object.keys(added).forEach(function (capability) {
+                    socket.serverCapabilities[capability] = added[capability];
+                });
+
+                var wanted = (socket.capabilities ? socket.capabilities.wants : [])
+                .filter(function (capability) {
+                    return Object.prototype.hasOwnProperty.call(added, capability) &&
+                        !includes(socket.enabledCapabilities, capability);
+                });
+
+                batchCapabilities(wanted).forEach(function (batch) {
+                    sendCapabilityRequest(socket, batch, function () {});
+                });
+                return;
+
+            case "DEL":
+                listed.forEach(function (capability) {
+                    delete socket.serverCapabilities[capability];
+                });
+
+                updateEnabled(socket.enabledCapabilities.filter(function (capability) {
+                    return !includes(listed, capability);
+                }));
+                return;
+
+            case "ACK":
+                var enabled = socket.enabledCapabilities.slice();
+
+                listed.forEach(function (capability) {
+                    if (capability.charAt(0) === "-") {
+                        enabled = enabled.filter(function (enabledCapability) {
+                            return enabledCapability !== capability.slice(1);
+                        });
+                    } else if (!includes(enabled, capability)) {
+                        enabled.push(capability);
+                    }
+                });
+
+                updateEnabled(enabled);
+
+                var acknowledgedRequest = takeCapabilityRequest(socket, listed);
+                if (acknowledgedRequest) {
+                    acknowledgedRequest.callback(true);
+                }
+                return;
+
+            case "NAK":
+                var rejectedRequest = takeCapabilityRequest(socket, listed);
+                if (rejectedRequest) {
+                    rejectedRequest.callback(false);
+                }
+                return;
+        }
+    });
+
+    // Tracks ISUPPORT tokens.
+    // RPL_ISUPPORT <nick> <token>[=<value>]... :are supported by this server
+    addLineHandler(socket, function supportHandler (line, message) {
+        if (message.command !== "005" || message.params.length < 3) {
+            return;
+        }
+
+        var changed = [];
+
+        message.params.slice(1, -1).forEach(function (token) {
+            if (token.charAt(0) === "-") {
+                if (Object.prototype.hasOwnProperty.call(socket.support, token.slice(1))) {
+                    delete socket.support[token.slice(1)];
+                    changed.push(token.slice(1));
+                }
+
+                return;
+            }
+
+            var equalsIndex = token.indexOf("=");
+            var name = equalsIndex === -1 ? token : token.slice(0, equalsIndex);
+            var value = equalsIndex === -1 ? "" : token.slice(equalsIndex + 1)
+            .replace(/\\x([0-9A-Fa-f]{2})/g, function (_, hex) {
+                return String.fromCharCode(parseInt(hex, 16));
+            });
+
+            if (socket.support[name] !== value) {
+                socket.support[name] = value;
+                changed.push(name);
+            }
+        });
+
+        if (changed.length !== 0) {
+            socket.emit("support", {
+                support: socket.getSupport(),
+                changed: changed
+            });
+        }
+    });
+
+    // Collects the replies to requests made with `request`.
+    // With labeled-response, the reply is a message with the request's
+    // label, an ACK with the label when there's nothing to reply with,
+    // or a labeled batch of messages, which can contain nested batches.
+    addLineHandler(socket, function requestHandler (line, message) {
+        var requests = socket.requests;
+        var label = message.tags.label;
+        var request;
+
+        if (typeof label === "string" && Object.prototype.hasOwnProperty.call(requests.labeled, label)) {
+            request = requests.labeled[label];
+
+            if (message.command === "BATCH" && (message.params[0] || "").charAt(0) === "+") {
+                request.batches.push(message.params[0].slice(1));
+                requests.batches[message.params[0].slice(1)] = request;
+            } else if (message.command === "ACK") {
+                finishRequest(socket, request, Ok([]));
+            } else {
+                finishRequest(socket, request, Ok([line]));
+            }
+
+            return;
+        }
+
+        if (message.command === "BATCH" && message.params.length !== 0) {
+            var reference = message.params[0].slice(1);
+
+            // The end of a labeled batch.
+            if (message.params[0].charAt(0) === "-" && Object.prototype.hasOwnProperty.call(requests.batches, reference)) {
+                request = requests.batches[reference];
+
+                if (reference === request.batches[0]) {
+                    finishRequest(socket, request, Ok(request.lines));
+                    return;
+                }
+            }
+        }
+
+        if (typeof message.tags.batch === "string" && Object.prototype.hasOwnProperty.call(requests.batches, message.tags.batch)) {
+            request = requests.batches[message.tags.batch];
+            request.lines.push(line);
+
+            // A batch nested in the labeled batch.
+            if (message.command === "BATCH" && (message.params[0] || "").charAt(0) === "+") {
+                request.batches.push(message.params[0].slice(1));
+                requests.batches[message.params[0].slice(1)] = request;
+            }
+
+            return;
+        }
+
+        // Without labels, numerics belong to the oldest request
+        // until one of its end numerics arrives.
+        if (requests.unlabeled.length !== 0 && /^[0-9]{3}$/.test(message.command)) {
+            request = requests.unlabeled[0];
+            request.lines.push(line);
+
+            if (includes(request.endNumerics, message.command)) {
+                finishRequest(socket, request, Ok(request.lines));
+            }
+        }
+    });
+
+    socket.impl.on("close", function () {
+        var requests = socket.requests;
+        var pending = Object.keys(requests.labeled).map(function (label) {
+            return requests.labeled[label];
+        }).concat(requests.unlabeled);
+
+        pending.forEach(function (request) {
+            finishRequest(socket, request, Fail(requestFailures.closed));
+        });
+    });
+
+    // Tracks our nickname after registration.
+    // With nicknameRecovery, also takes back our preferred nickname
+    // once whoever holds it lets it go.
+    var preferredNickname = config.nicknames[0];
+    var hasRegistrationEnded = false;
+    var isRecovering = false;
+    var isonTimer = null;
+
+    var isPreferredNickname = function (nickname) {
+        return nicknamesEqual(socket, nickname, preferredNickname);
+    };
+
+    var claimPreferredNickname = function () {
+        socket.raw(["NICK", preferredNickname]);
+    };
+
+    var askNickServ = function () {
+        var nickserv = socket.nicknameRecovery.nickserv;
+        var command = [nickserv.command, preferredNickname];
+
+        if (nickserv.password) {
+            command.push(nickserv.password);
+        }
+
+        socket.raw(["PRIVMSG", "NickServ", ":" + command.join(" ")]);
+
+        // REGAIN changes our nickname for us.
+        if (nickserv.command === "GHOST") {
+            claimPreferredNickname();
+        }
+    };
+
+    var startRecovery = function () {
+        if (!socket.nicknameRecovery || isRecovering || isPreferredNickname(socket.hostmask.nick)) {
+            return;
+        }
+
+        isRecovering = true;
+
+        if (socket.nicknameRecovery.nickserv) {
+            askNickServ();
+        }
+
+        // The server answers MONITOR with whether the nickname is
+        // online (730) or offline (731) and keeps telling us when
+        // that changes. Otherwise, we have to keep asking with ISON.
+        if (Object.prototype.hasOwnProperty.call(socket.support, "MONITOR")) {
+            socket.raw(["MONITOR", "+", preferredNickname]);
+        } else {
+            var poll = function () {
+                socket.raw(["ISON", preferredNickname]);
+                isonTimer = setTimeout(poll, socket.nicknameRecovery.interval);
+            };
+
+            poll();
+        }
+    };
+
+    var stopRecovery = function () {
+        if (!isRecovering) {
+            return;
+        }
+
+        isRecovering = false;
+        clearTimeout(isonTimer);
+        isonTimer = null;
+
+        if (Object.prototype.hasOwnProperty.call(socket.support, "MONITOR")) {
+            socket.raw(["MONITOR", "-", preferredNickname]);
+        }
+    };
+
+    var changeNickname = function (nickname) {
+        var previousNickname = socket.hostmask.nick;
+
+        if (nickname === previousNickname) {
+            return;
+        }
+
+        socket.hostmask.nick = nickname;
+        socket.emit("nick", {
+            nickname: nickname,
+            previousNickname: previousNickname
+        });
+
+        if (!hasRegistrationEnded) {
+            return;
+        }
+
+        if (isPreferredNickname(nickname)) {
+            stopRecovery();
+        } else {
+            startRecovery();
+        }
+    };
+
+    addLineHandler(socket, function nicknameHandler (line, message) {
+        if (!socket.isWelcomed || socket.status === "closed") {
+            return;
+        }
+
+        var sender = message.prefix && message.prefix.nick;
+
+        // Numerics are always addressed to our current nickname.
+        if (/^[0-9]{3}$/.test(message.command) && message.params.length !== 0 && message.params[0] !== "*") {
+            changeNickname(message.params[0]);
+        }
+
+        switch (message.command) {
+            case "NICK":
+                if (sender && nicknamesEqual(socket, sender, socket.hostmask.nick)) {
+                    changeNickname(message.params[0]);
+                } else if (isRecovering && sender && isPreferredNickname(sender)) {
+                    claimPreferredNickname();
+                }
+                return;
+
+            case "QUIT":
+                if (isRecovering && sender && isPreferredNickname(sender)) {
+                    claimPreferredNickname();
+                }
+                return;
+
+            // RPL_VISIBLEHOST <nick> <[user@]host> :is now your displayed host
+            case "396":
+                var visibleHost = message.params[1] || "";
+                var atIndex = visibleHost.lastIndexOf("@");
+
+                if (atIndex !== -1) {
+                    socket.hostmask.user = visibleHost.slice(0, atIndex);
+                }
+
+                socket.hostmask.host = visibleHost.slice(atIndex + 1) || socket.hostmask.host;
+                return;
+
+            // CHGHOST <new user> <new host>
+            case "CHGHOST":
+                if (sender && nicknamesEqual(socket, sender, socket.hostmask.nick)) {
+                    socket.hostmask.user = message.params[0] || socket.hostmask.user;
+                    socket.hostmask.host = message.params[1] || socket.hostmask.host;
+                }
+                return;
+
+            // RPL_ENDOFMOTD or ERR_NOMOTD
+            // Registration is over, and ISUPPORT tokens are known.
+            case "376":
+            case "422":
+                if (!hasRegistrationEnded) {
+                    hasRegistrationEnded = true;
+                    startRecovery();
+                }
+                return;
+
+            // RPL_MONOFFLINE <nick> :<target>[,<target>]*
+            case "731":
+                var offline = (lastParam(message) || "").split(",");
+
+                if (isRecovering && offline.some(isPreferredNickname)) {
+                    claimPreferredNickname();
+                }
+                return;
+
+            // RPL_ISON <nick> :[<nick>{ <nick>}]
+            case "303":
+                var online = (lastParam(message) || "").split(" ");
+
+                if (isRecovering && !online.some(isPreferredNickname)) {
+                    claimPreferredNickname();
+                }
+                return;
+        }
+    });
+
+    socket.impl.on("close", function () {
+        clearTimeout(isonTimer);
+        isonTimer = null;
+    });
+
+    // Once connected, do the following:
+    // 1. Send WEBIRC if proxy set.
+    // 2. Send PASS if set.
+    // 3. Do capabilities negotiations if set.
+    // 3a. Authenticate with SASL if set.
+    // 4. Send USER
+    // 5. Send NICK until one is accepted.
+    // 6. Resolve startupPromise.
+    // TODO(Havvy): Refactor and clean up!!!
+    socket.impl.once("connect", function doStartup () {
+        // If `socket.end()` is called before the connect event
+        // fires, then we ignore the connect event, since we are
+        // already ending/ended.
+        if (socket.startupResult !== null) {
+            return;
+        }
+
+        setStatus(socket, "starting");
+        socket.emit("connect");
+        timeout = setTimeout(onSilence, timeoutPeriod);
+
+        if (socket.capabilities) {
+            var hasRequestedCapabilities = false;
+            var pendingRequests = 0;
+        }
+
+        var nickname;
+        var account;
+        var readyData = null;
+
+        var setHandshakeStep = function (step) {
+            if (socket.handshakeStep !== step) {
+                socket.handshakeStep = step;
+                emitHandshake(socket, "step");
+            }
+        };
+
+        setHandshakeStep(typeof socket.capabilities === "object" ? "capabilities" : "registration");
+
+        if (socket.registrationTimeout) {
+            // With `readyAfterMotd`, registration isn't over until the end of the MOTD.
+            var registrationTimer = setTimeout(function () {
+                if (socket.startupResult !== null) {
+                    return;
+                }
+
+                socket.raw("QUIT");
+                failConnecting(socket, failures.registrationTimedOut, null);
+                socket.end();
+            }, socket.registrationTimeout);
+        }
+
+        if (socket.sasl) {
+            var saslMechanismIndex = -1;
+            var saslResponder;
+            var saslChallenge = "";
+            var serverSaslMechanisms;
+        }
+
+        var sendUser = function () {
+            setHandshakeStep("registration");
+            socket.raw(format("USER %s 8 * :%s", socket.username, socket.realname));
+        };
+
+        // Generated nicknames are based on the first configured nickname
+        // that was rejected for being in use instead of being invalid.
+        var baseNickname = null;
+        var isNicknameGenerated = false;
+        var generatedNicknames = 0;
+
+        if (socket.nicknameGeneration) {
+            var maxNicknameLength = socket.nicknameGeneration.maxLength;
+        }
+
+        // Returns null when no more nicknames should be generated.
+        var generateNickname = function () {
+            var generation = socket.nicknameGeneration;
+
+            if (!generation || baseNickname === null || generatedNicknames >= generation.maxAttempts) {
+                return null;
+            }
+
+            generatedNicknames += 1;
+
+            var generated = String(generation.strategy(baseNickname, generatedNicknames));
+
+            if (generated.length > maxNicknameLength) {
+                // Keep what was added to the base, shortening the base instead.
+                if (generated.indexOf(baseNickname) === 0 && generated.length - baseNickname.length < maxNicknameLength) {
+                    var suffix = generated.slice(baseNickname.length);
+                    generated = baseNickname.slice(0, maxNicknameLength - suffix.length) + suffix;
+                } else {
+                    generated = generated.slice(0, maxNicknameLength);
+                }
+            }
+
+            return generated;
+        };
+
+        // Rejection is the message rejecting the previous nickname, if any.
+        var sendNick = function (rejection) {
+            if (socket.nicknames.length !== 0) {
+                nickname = socket.nicknames[0];
+                socket.nicknames.shift();
+                isNicknameGenerated = false;
+            } else {
+                nickname = generateNickname();
+                isNicknameGenerated = true;
+            }
+
+            if (nickname === null) {
+                socket.raw("QUIT");
+                failConnecting(socket, failures.nicknamesUnavailable, rejection);
+                return;
+            }
+
+            socket.raw(["NICK", nickname]);
+        };
+
+        var onNicknameRejected = function (message) {
+            var numeric = message.command;
+            var rejection = {
+                nickname: nickname,
+                numeric: numeric,
+                reason: lastParam(message) || null
+            };
+
+            socket.rejectedNicknames.push(rejection);
+            emitHandshake(socket, "nicknameRejected", rejection);
+
+            if (numeric === "432" && isNicknameGenerated && nickname.length > baseNickname.length) {
+                // ERR_ERRONEUSNICKNAME: Since the base was fine, the
+                // generated nickname is probably too long.
+                maxNicknameLength = Math.min(maxNicknameLength, nickname.length - 1);
+            } else if (numeric !== "432" && !isNicknameGenerated && baseNickname === null) {
+                baseNickname = nickname;
+            }
+        };
+
+        var requestCapabilities = function (capabilities, isRequired) {
+            batchCapabilities(capabilities).forEach(function (batch) {
+                pendingRequests += 1;
+
+                sendCapabilityRequest(socket, batch, function (isAcknowledged) {
+                    pendingRequests -= 1;
+
+                    if (socket.startupResult !== null) {
+                        return;
+                    }
+
+                    emitHandshake(socket, isAcknowledged ? "capabilitiesAcknowledged" : "capabilitiesRejected", {
+                        capabilities: batch.slice(),
+                        isRequired: isRequired
+                    });
+
+                    if (!isAcknowledged) {
+                        if (isRequired) {
+                            socket.raw("QUIT");
+                            failConnecting(socket, failures.missingRequiredCapabilities, null, {
+                                capabilities: batch
+                            });
+                            return;
+                        }
+
+                        // Requests are all or nothing, so one unacceptable
+                        // capability rejects the whole batch. Retry each
+                        // capability on its own to find the acceptable ones.
+                        if (batch.length > 1) {
+                            batch.forEach(function (capability) {
+                                requestCapabilities([capability], false);
+                            });
+                        }
+                    }
+
+                    if (pendingRequests === 0) {
+                        finishCapabilityRequests();
+                    }
+                });
+            });
+        };
+
+        var finishCapabilityRequests = function () {
+            if (socket.sasl) {
+                // 3a. Authenticate with SASL
+                if (!startNextSaslMechanism()) {
+                    failSasl();
+                }
+            } else {
+                endCapabilityNegotiation();
+            }
+        };
+
+        var endCapabilityNegotiation = function () {
+            socket.raw("CAP END");
+
+            // 4. Send USER
+            sendUser();
+
+            // 5. Send NICK
+            sendNick();
+        };
+
+        // Starts the next mechanism in our list that the server supports.
+        // Returns false if there are no more mechanisms to try.
+        var startNextSaslMechanism = function () {
+            var mechanisms = socket.sasl.mechanisms;
+
+            do {
+                saslMechanismIndex += 1;
+            } while (saslMechanismIndex < mechanisms.length &&
+                serverSaslMechanisms &&
+                !includes(serverSaslMechanisms, mechanisms[saslMechanismIndex]));
+
+            if (saslMechanismIndex >= mechanisms.length) {
+                return false;
+            }
+
+            setHandshakeStep("sasl");
+            emitHandshake(socket, "sasl", {
+                status: "started",
+                mechanism: mechanisms[saslMechanismIndex]
+            });
+            saslResponder = saslMechanisms[mechanisms[saslMechanismIndex]](socket.sasl);
+            saslChallenge = "";
+            socket.raw(["AUTHENTICATE", mechanisms[saslMechanismIndex]]);
+            return true;
+        };
+
+        var failSasl = function (message) {
+            emitHandshake(socket, "sasl", {
+                status: "failed",
+                mechanism: socket.sasl.mechanisms[saslMechanismIndex] || null,
+                numeric: message ? message.command : null
+            });
+            socket.raw("QUIT");
+            failConnecting(socket, failures.saslFailed, message, {
+                mechanism: socket.sasl.mechanisms[saslMechanismIndex] || null
+            });
+        };
+
+        var startupHandler = function startupHandler (line, message) {
+            var numeric = message.command;
+            // SASL replies are ignored unless we've started a mechanism.
+            var isAuthenticating = Boolean(socket.sasl && saslResponder);
+
+            // The server is closing the connection, e.g. because WEBIRC failed.
+            if (numeric === "ERROR") {
+                failConnecting(socket, errorFailure(socket, message), message);
+                return;
+            // Ignore PINGs.
+            } else if (numeric === "PING") {
+                return;
+            }
+
+            if (numeric === "CAP") {
+                // ACK and NAK are handled by the requests' callbacks.
+                if (message.params[1] !== "LS" || !isServerCapabilityListComplete || hasRequestedCapabilities) {
+                    return;
+                }
+
+                hasRequestedCapabilities = true;
+
+                var capabilities = socket.capabilities;
+                var serverCapabilities = socket.serverCapabilities;
+
+                emitHandshake(socket, "capabilitiesListed", {
+                    capabilities: copyJsonMaybe(serverCapabilities)
+                });
+
+                var isAdvertised = function (capability) {
+                    return Object.prototype.hasOwnProperty.call(serverCapabilities, capability);
+                };
+
+                if (!capabilities.requires.every(isAdvertised)) {
+                    socket.raw("QUIT");
+                    failConnecting(socket, failures.missingRequiredCapabilities, message, {
+                        capabilities: capabilities.requires.filter(function (capability) {
+                            return !isAdvertised(capability);
+                        })
+                    });
+                    return;
+                }
+
+                // CAP LS 302 lists supported mechanisms as the value of sasl.
+                if (socket.sasl && serverCapabilities.sasl) {
+                    serverSaslMechanisms = serverCapabilities.sasl.split(",");
+                }
+
+                requestCapabilities(capabilities.requires, true);
+                requestCapabilities(capabilities.wants.filter(isAdvertised), false);
+
+                if (pendingRequests === 0) {
+                    finishCapabilityRequests();
+                }
+            } else if (numeric === "AUTHENTICATE" && isAuthenticating) {
+                var chunk = message.params[0] || "+";
+
+                // Challenges are chunked the same way that our responses are.
+                if (chunk !== "+") {
+                    saslChallenge += chunk;
+                }
+
+                if (chunk.length === 400) {
+                    return;
+                }
+
+                var response = saslResponder(Buffer.from(saslChallenge, "base64").toString("utf-8"));
+                saslChallenge = "";
+
+                if (response === null) {
+                    // Server answers with ERR_SASLABORTED.
+                    socket.raw("AUTHENTICATE *");
+                    return;
+                }
+
+                authenticateChunks(response)
+                .forEach(function (chunk) {
+                    socket.raw(["AUTHENTICATE", chunk]);
+                });
+            } else if (numeric === "900") {
+                // RPL_LOGGEDIN <nick> <nick>!<ident>@<host> <account> :You are now logged in as <user>
+                account = message.params[2];
+                emitHandshake(socket, "sasl", { status: "loggedIn", account: account });
+            } else if (includes(["903", "907"], numeric) && isAuthenticating) {
+                // RPL_SASLSUCCESS or ERR_SASLALREADY
+                emitHandshake(socket, "sasl", {
+                    status: "succeeded",
+                    mechanism: socket.sasl.mechanisms[saslMechanismIndex] || null,
+                    numeric: numeric
+                });
+                endCapabilityNegotiation();
+            } else if (numeric === "904" && isAuthenticating && serverSaslMechanisms &&
+                !includes(serverSaslMechanisms, socket.sasl.mechanisms[saslMechanismIndex]))
+            {
+                // ERR_SASLFAIL after RPL_SASLMECHS: The mechanism isn't supported,
+                // so try the next one instead of failing.
+                emitHandshake(socket, "sasl", {
+                    status: "unsupported",
+                    mechanism: socket.sasl.mechanisms[saslMechanismIndex],
+                    serverMechanisms: serverSaslMechanisms.slice()
+                });
+
+                if (!startNextSaslMechanism()) {
+                    failSasl(message);
+                }
+            } else if (includes(["902", "904", "905", "906"], numeric) && isAuthenticating) {
+                // ERR_NICKLOCKED, ERR_SASLFAIL, ERR_SASLTOOLONG, or ERR_SASLABORTED
+                failSasl(message);
+            } else if (numeric === "908") {
+                // RPL_SASLMECHS <nick> <mechanisms> :are available SASL mechanisms
+                // Always followed by ERR_SASLFAIL.
+                serverSaslMechanisms = (message.params[1] || "").split(",");
+            } else if (numeric === "NOTICE") {
+                if (lastParam(message) === "Login unsuccessful") {
+                    // irc.twitch.tv only in their non-standardness.
+                    // Server doesn't kill the socket, but it doesn't accept input afterwards either.
+                    failConnecting(socket, failures.badPassword, message);
+                }
+            } else if (numeric === "001") {
+                socket.isWelcomed = true;
+
+                // RPL_WELCOME <nick> :Welcome to the <network> Network, <nick>[!<user>@<host>]
+                var welcomeHostmask = /([^ !]+)!([^ @]+)@([^ ]+)$/.exec(lastParam(message) || "");
+                socket.hostmask = {
+                    nick: message.params[0] || nickname,
+                    user: welcomeHostmask ? welcomeHostmask[2] : null,
+                    host: welcomeHostmask ? welcomeHostmask[3] : null
+                };
+
+                readyData = {
+                    server: {
+                        host: socket.connectOptions.host,
+                        port: socket.connectOptions.port,
+                        name: message.prefix ? message.prefix.raw : null
+                    },
+                    capabilities: socket.capabilities ? socket.enabledCapabilities.slice() : undefined,
+                    serverCapabilities: socket.capabilities ? copyJsonMaybe(socket.serverCapabilities) : undefined,
+                    nickname: nickname,
+                    account: account
+                };
+
+                if (!socket.readyAfterMotd) {
+                    setStatus(socket, "running");
+                    socket.emit("ready", readyData);
+                    socket.resolvePromise(Ok(readyData));
+                }
+            } else if (includes(["410", "421"], numeric)) {
+                // Sent by Twitch.tv when doing a CAP command.
+                if (socket.capabilities.requires) {
+                    socket.raw("QUIT");
+                    failConnecting(socket, failures.missingRequiredCapabilities, message, {
+                        capabilities: socket.capabilities.requires.slice()
+                    });
+                } else {
+                    // 4. Send USER
+                    sendUser();
+
+                    // 5. Send NICK
+                    sendNick();
+                }
+            } else if (numeric === "464") {
+                // Only sent if a bad password is given.
+                // Server will end the socket afterwards.
+                failConnecting(socket, failures.badPassword, message);
+            } else if (numeric === "465") {
+                // ERR_YOUREBANNEDCREEP <nick> :<reason>
+                // Server will end the socket afterwards.
+                failConnecting(socket, failures.banned, message);
+            } else if (numeric === "466") {
+                // ERR_YOUWILLBEBANNED
+                socket.raw("QUIT");
+                failConnecting(socket, failures.willBeBanned, message);
+            } else if (includes(["431", "432", "433", "436", "437", "484"], numeric)) {
+                // Reasons you cannot use a nickname. Try the next nickname.
+                onNicknameRejected(message);
+                sendNick(message);
+            }
+        };
+
+        // Reports what the server tells us during registration,
+        // which lasts until the end of the MOTD.
+        var progressHandler = function progressHandler (line, message) {
+            var command = message.command;
+
+            if (command === "NOTICE" && socket.status === "starting") {
+                emitHandshake(socket, "notice", { text: lastParam(message) || "" });
+            } else if (/^00[1-5]$/.test(command) || includes(["375", "372", "376", "422"], command)) {
+                emitHandshake(socket, "numeric", {
+                    numeric: command,
+                    params: message.params.slice(1),
+                    line: line
+                });
+            }
+
+            if (includes(["376", "422"], command)) {
+                removeLineHandler(socket, progressHandler);
+            }
+        };
+
+        // Collects what the server tells us about ourselves and itself
+        // after RPL_WELCOME, until the end of the MOTD.
+        var registration = {
+            serverName: null,
+            version: null,
+            userModes: [],
+            host: null,
+            motd: null
+        };
+
+        var registrationHandler = function registrationHandler (line, message) {
+            if (readyData === null) {
+                return;
+            }
+
+            switch (message.command) {
+                // RPL_YOURHOST <nick> :Your host is <servername>, running version <version>
+                case "002":
+                    var yourHost = /Your host is ([^ ,]+), running version (.+)$/.exec(lastParam(message) || "");
+                    if (yourHost) {
+                        registration.serverName = registration.serverName || yourHost[1];
+                        registration.version = registration.version || yourHost[2];
+                    }
+                    return;
+
+                // RPL_MYINFO <nick> <servername> <version> <usermodes> <chanmodes>
+                case "004":
+                    registration.serverName = message.params[1] || registration.serverName;
+                    registration.version = message.params[2] || registration.version;
+                    return;
+
+                // RPL_UMODEIS <nick> <modes>
+                case "221":
+                    registration.userModes = (message.params[1] || "").replace(/^\+/, "").split("");
+                    return;
+
+                // RPL_VISIBLEHOST <nick> <host> :is now your displayed host
+                case "396":
+                    registration.host = message.params[1];
+                    return;
+
+                // MODE <nick> :<modes>
+                case "MODE":
+                    if (!nicknamesEqual(socket, message.params[0] || "", socket.hostmask.nick)) {
+                        return;
+                    }
+
+                    var isAdding = true;
+                    (message.params[1] || "").split("").forEach(function (mode) {
+                        if (mode === "+" || mode === "-") {
+                            isAdding = mode === "+";
+                        } else if (isAdding && !includes(registration.userModes, mode)) {
+                            registration.userModes.push(mode);
+                        } else if (!isAdding) {
+                            registration.userModes = registration.userModes.filter(function (userMode) {
+                                return userMode !== mode;
+                            });
+                        }
+                    });
+                    return;
+
+                // RPL_MOTDSTART and RPL_MOTD <nick> :- <text>
+                case "375":
+                    registration.motd = [];
+                    return;
+
+                case "372":
+                    registration.motd = registration.motd || [];
+                    registration.motd.push((lastParam(message) || "").replace(/^- ?/, ""));
+                    return;
+
+                // RPL_ENDOFMOTD or ERR_NOMOTD
+                case "376":
+                case "422":
+                    removeLineHandler(socket, registrationHandler);
+                    finishRegistration();
+                    return;
+            }
+        };
+
+        var finishRegistration = function () {
+            var data = {};
+
+            Object.keys(readyData).forEach(function (key) {
+                data[key] = readyData[key];
+            });
+
+            data.server = {
+                host: readyData.server.host,
+                port: readyData.server.port,
+                name: registration.serverName || readyData.server.name,
+                version: registration.version
+            };
+            data.nickname = socket.hostmask.nick;
+            data.userModes = registration.userModes.slice();
+            data.host = registration.host || socket.hostmask.host;
+            data.motd = registration.motd;
+            data.support = socket.getSupport();
+
+            if (socket.readyAfterMotd && socket.startupResult === null) {
+                setStatus(socket, "running");
+                socket.emit("ready", data);
+                socket.resolvePromise(Ok(data));
+            }
+
+            socket.emit("registered", data);
+        };
+
+        // Subscribe & Unsubscribe
+        // TODO(Havvy): Return /this/ Promise, 
+        addLineHandler(socket, registrationHandler);
+        addLineHandler(socket, progressHandler);
+        addLineHandler(socket, startupHandler);
+        socket.startupPromise.finally(function (res) {
+            removeLineHandler(socket, startupHandler);
+            clearTimeout(registrationTimer);
+
+            if (socket.startupResult.isFail()) {
+                removeLineHandler(socket, registrationHandler);
+                removeLineHandler(socket, progressHandler);
+            }
+        });
+
+        // 1. Send WEBIRC
+        if (typeof socket.proxy === "object") {
+            var proxy = socket.proxy;
+
+            socket.raw(["WEBIRC", proxy.password, proxy.username, proxy.hostname, proxy.ip]);
+        }
+
+        // 2. Send PASS
+        // Will force kill connection if wrong.
+        if (typeof socket.password === "string") {
+            socket.raw(["PASS", socket.password]);
+        }
+
+        // 3. Send CAP LS
+        if (typeof socket.capabilities === "object") {
+            socket.raw("CAP LS 302");
+        } else {
+            // 4. Send USER
+            sendUser();
+
+            // 5. Send NICK.
+            sendNick();
+        }
+    });
+
+    socket.impl.on("error", function (error) {
+        if (socket.status === "starting" || socket.status === "connecting") {
+            failConnecting(socket, failures.socketError, null, { error: error });
+        }
+        setStatus(socket, "closed");
+        socket.emit("error", error);
+    });
+
+    socket.impl.on("close", function () {
+        failConnecting(socket, failures.killed, null);
+        setStatus(socket, "closed");
+
+        // Requests that will never be answered.
+        socket.capabilityRequests.splice(0).forEach(function (request) {
+            request.callback(false);
+        });
+
+        dropSendQueue(socket);
+
+        socket.emit("close");
+    });
+
+    socket.impl.on("end", function () {
+        socket.emit("end");
+
+        failConnecting(socket, failures.socketEnded, null);
+
+        // Clean up our timeout.
+        clearTimeout(timeout);
+    });
+
+    socket.impl.on("timeout", function () {
+        socket.emit("timeout");
+    });
+
+    socket.impl.setNoDelay();
+
+    socket.on("timeout", function () {
+        socket.end();
+    });
+
+    return socket;
+};
+
+Socket.connectFailures = failures;
+Socket.IrcConnectError = IrcConnectError;
+Socket.requestFailures = requestFailures;
+Socket.parseMessage = parseMessage;
+
+Socket.prototype = Object.create(EventEmitter.prototype, intoPropertyDescriptors({
+    connect: function () {
+        if (this.isStarted()) {
+            throw new Error("Cannot restart an irc-socket Socket.");
+        }
+
+        setStatus(this, "connecting");
+        this.impl.connect(this.connectOptions);
+
+        return this.startupPromise;
+    },
+
+    // Same as `connect`, but returning a native Promise of the ready
+    // data that rejects with an IrcConnectError when connecting fails.
+    connectAsync: function () {
+        var socket = this;
+
+        return settleConnection(this.connect(), function () {
+            return socket.getFailureDetails();
+        });
+    },
+
+    end: function () {
+        if (!this.isConnected()) {
+            return;
+        }
+
+        failConnecting(this, failures.socketEnded, null);
+        dropSendQueue(this);
+
+        this.impl.end();
+    },
+
+    // Sends QUIT and ends the socket once the server acknowledges it
+    // with ERROR or closes the connection. Returns a Promise of the
+    // server's closing message, or null when there wasn't one.
+    quit: function (reason) {
+        var socket = this;
+
+        if (this.quitPromise) {
+            return this.quitPromise;
+        }
+
+        if (!this.isConnected()) {
+            return Promise.resolve(null);
+        }
+
+        this.quitPromise = new Promise(function (resolve) {
+            var timer = null;
+
+            var finish = function (closingMessage) {
+                clearTimeout(timer);
+                removeLineHandler(socket, onData);
+                socket.impl.removeListener("close", onClose);
+                resolve(closingMessage);
+            };
+
+            var onData = function (line, message) {
+                if (message.command === "ERROR") {
+                    finish(lastParam(message) || "");
+                    socket.end();
+                }
+            };
+
+            var onClose = function () {
+                finish(null);
+            };
+
+            addLineHandler(socket, onData);
+            socket.impl.on("close", onClose);
+
+            // Quitting during startup fails it the same way as ending.
+            failConnecting(socket, failures.socketEnded, null);
+
+            // Without a connection to the server, there's nobody to quit to.
+            if (socket.status === "connecting") {
+                socket.end();
+                return;
+            }
+
+            socket.raw(reason ? ["QUIT", ":" + reason] : "QUIT");
+
+            timer = setTimeout(function () {
+                finish(null);
+                dropSendQueue(socket);
+
+                if (typeof socket.impl.destroy === "function") {
+                    socket.impl.destroy();
+                } else {
+                    socket.impl.end();
+                }
+            }, socket.quitTimeout);
+        });
+
+        return this.quitPromise;
+    },
+
+    raw: function (message) {
+        if (!this.isConnected()) {
+            return;
+        }
+
+        if (Array.isArray(message)) {
+            message = message.join(" ");
+        }
+
+        if (message.indexOf("\n") !== -1) {
+            throw new Error("Newline detected in message. Use multiple raws instead.");
+        }
+
+        if (message.indexOf("\r") !== -1) {
+            throw new Error("Carriage return detected in message. Use multiple raws instead.");
+        }
+
+        if (message.indexOf("\0") !== -1) {
+            throw new Error("NUL character detected in message.");
+        }
+
+        if (!this.sendQueue || includes(unqueuedCommands, parseMessage(message).command)) {
+            writeLine(this, message);
+            return;
+        }
+
+        var queue = this.sendQueue;
+        queue.lines.push(message);
+        flushSendQueue(this);
+
+        if (!queue.isBacklogged && queue.lines.length >= this.floodProtection.backlog) {
+            queue.isBacklogged = true;
+            this.emit("backlog", queue.lines.length);
+        }
+    },
+
+    // Splits text into as many `<command> <target> :<text>` lines as needed
+    // so that each line, as relayed by the server with our prefix, fits
+    // in the line length limit. Lines in the text are always split, and
+    // empty lines are dropped.
+    splitMessage: function (command, target, text) {
+        var socket = this;
+        var lineLength = Number(socket.support.LINELEN) || 512;
+        var hostmask = socket.hostmask;
+
+        // When we don't know parts of our hostmask, assume the longest
+        // they're likely to be: A nine character nickname, a "~" prefixed
+        // username, and a 63 character hostname.
+        var prefix = format(":%s!%s@%s ",
+            hostmask.nick || "123456789",
+            hostmask.user || "~" + socket.username,
+            hostmask.host || new Array(64).join("x"));
+        var maxBytes = lineLength - encodedLength(socket, format("%s%s %s :\r\n", prefix, command, target));
+
+        return String(text).split(/\r?\n|\r/)
+        .filter(function (line) { return line !== ""; })
+        .reduce(function (lines, line) {
+            return lines.concat(splitText(socket, line, maxBytes).map(function (piece) {
+                return format("%s %s :%s", command, target, piece);
+            }));
+        }, []);
+    },
+
+    // Sends text to the target with as many PRIVMSGs as needed.
+    // Returns the lines sent.
+    privmsg: function (target, text) {
+        var lines = this.splitMessage("PRIVMSG", target, text);
+        lines.forEach(this.raw, this);
+        return lines;
+    },
+
+    // Sends text to the target with as many NOTICEs as needed.
+    // Returns the lines sent.
+    notice: function (target, text) {
+        var lines = this.splitMessage("NOTICE", target, text);
+        lines.forEach(this.raw, this);
+        return lines;
+    },
+
+    // Returns the lines waiting to be sent because of flood protection.
+    getQueuedLines: function () {
+        return this.sendQueue ? this.sendQueue.lines.slice() : [];
+    },
+
+    // Drops the lines waiting to be sent, returning them.
+    clearQueue: function () {
+        if (!this.sendQueue) {
+            return [];
+        }
+
+        this.sendQueue.isBacklogged = false;
+        return this.sendQueue.lines.splice(0);
+    },
+    
+    // Returns Promise<Result<[capability], [capability]>>, being Ok with the
+    // capabilities if the server acknowledged all of them, or Fail with the
+    // capabilities that were rejected otherwise.
+    requestCapabilities: function (capabilities) {
+        var socket = this;
+
+        if (!this.isConnected()) {
+            return Promise.resolve(Fail(capabilities.slice()));
+        }
+
+        return Promise.all(batchCapabilities(capabilities).map(function (batch) {
+            return new Promise(function (resolve) {
+                sendCapabilityRequest(socket, batch, function (isAcknowledged) {
+                    resolve({ capabilities: batch, isAcknowledged: isAcknowledged });
+                });
+            });
+        }))
+        .then(function (responses) {
+            var rejected = responses
+            .filter(function (response) { return !response.isAcknowledged; })
+            .reduce(function (rejected, response) { return rejected.concat(response.capabilities); }, []);
+
+            return rejected.length === 0 ? Ok(capabilities.slice()) : Fail(rejected);
+        });
+    },
+
+    // Returns Promise<Result<[capability], [capability]>> the same
+    // way as `requestCapabilities`, but disabling the capabilities.
+    releaseCapabilities: function (capabilities) {
+        return this.requestCapabilities(capabilities.map(function (capability) {
+            return "-" + capability;
+        }))
+        .then(function (result) {
+            var withoutPrefix = function (capabilities) {
+                return capabilities.map(function (capability) { return capability.slice(1); });
+            };
+
+            return result.isOk() ? Ok(withoutPrefix(result.ok())) : Fail(withoutPrefix(result.fail()));
+        });
+    },
+
+    // Object mode Duplex stream view of the socket. Each line from the
+    // server is a chunk, and each chunk written is sent with `raw`.
+    // Ends once the socket closes.
+    stream: function () {
+        var socket = this;
+        var reader;
+
+        var duplex = new stream.Duplex({
+            readableObjectMode: true,
+            writableObjectMode: true,
+
+            read: function () {
+                reader.read();
+            },
+
+            destroy: function (error, callback) {
+                reader.stop();
+                callback(error);
+            },
+
+            write: function (line, encoding, callback) {
+                try {
+                    socket.raw(line);
+                } catch (error) {
+                    callback(error);
+                    return;
+                }
+
+                callback();
+            }
+        });
+
+        reader = readLinesInto(socket, duplex);
+        return duplex;
+    },
+
+    // Object mode Readable stream of the lines from the server, which
+    // can be iterated with `for await`. Ends once the socket closes.
+    lines: function () {
+        var reader;
+
+        var readable = new stream.Readable({
+            objectMode: true,
+
+            read: function () {
+                reader.read();
+            },
+
+            destroy: function (error, callback) {
+                reader.stop();
+                callback(error);
+            }
+        });
+
+        reader = readLinesInto(this, readable);
+        return readable;
+    },
+
+    // Sends the command, returning Promise<Result<[line], RequestFailure>>
+    // of the lines replying to it. Options are `timeout` in milliseconds
+    // and `endNumerics`, the numerics that end the reply when the server
+    // doesn't support labeled-response.
+    request: function (command, options) {
+        var socket = this;
+        var requests = this.requests;
+        options = options || {};
+
+        if (Array.isArray(command)) {
+            command = command.join(" ");
+        }
+
+        if (!this.isConnected()) {
+            return Promise.resolve(Fail(requestFailures.closed));
+        }
+
+        var isLabeled = includes(this.enabledCapabilities, "labeled-response");
+        var commandName = parseMessage(command).command;
+        var endNumerics = options.endNumerics || this.endNumerics[commandName];
+
+        if (!isLabeled && !endNumerics) {
+            return Promise.resolve(Fail(requestFailures.unsupported));
+        }
+
+        return new Promise(function (resolve) {
+            var request = {
+                label: null,
+                batches: [],
+                endNumerics: endNumerics,
+                lines: [],
+                resolve: resolve,
+                timer: null
+            };
+
+            request.timer = setTimeout(function () {
+                finishRequest(socket, request, Fail(requestFailures.timedOut));
+            }, options.timeout || socket.requestTimeout);
+
+            if (isLabeled) {
+                request.label = String(requests.nextLabel);
+                requests.nextLabel += 1;
+                requests.labeled[request.label] = request;
+                socket.raw(command.charAt(0) === "@" ?
+                    format("@label=%s;%s", request.label, command.slice(1)) :
+                    format("@label=%s %s", request.label, command));
+            } else {
+                requests.unlabeled.push(request);
+                socket.raw(command);
+            }
+        });
+    },
 
-        if (socket.capabilities) {
-            socket.capabilities.requires = socket.capabilities.requires || [];
-            socket.capabilities.wants = socket.capabilities.wants || [];
+    setTimeout: function (timeout, callback) {
+        this.impl.setTimeout(timeout, callback);
+    },
 
-            var serverCapabilties;
-            var acknowledgedCapabilities = socket.capabilities.requires.slice();
+    isStarted: function () {
+        return this.status !== "initialized";
+    },
 
-            var sentRequests = 0;
-            var respondedRequests = 0;
-            var allRequestsSent = false;
-        }
+    isConnected: function () {
+        return includes(["connecting", "starting", "running"], this.status);
+    },
 
-        var nickname;
+    isReady: function () {
+        return this.status === "running";
+    },
 
-        var sendUser = function () {
-            socket.raw(format("USER %s 8 * :%s", socket.username, socket.realname));
-        };
+    getRealName: function () {
+        return this._realname;
+    },
 
-        var sendNick = function  () {
-            if (socket.nicknames.length === 0) {
-                socket.raw("QUIT");
-                socket.resolvePromise(Fail(failures.nicknamesUnavailable));
-                return;
-            }
+    getCapabilities: function () {
+        return this.enabledCapabilities.slice();
+    },
 
-            nickname = socket.nicknames[0];
-            socket.nicknames.shift();
+    getServerCapabilities: function () {
+        return copyJsonMaybe(this.serverCapabilities);
+    },
 
-            socket.raw(["NICK", nickname]);
-        };
+    // Returns an object mapping ISUPPORT tokens to their values, with the
+    // empty string for tokens without one. PREFIX, CHANMODES, and TARGMAX
+    // are parsed.
+    getSupport: function () {
+        var socket = this;
+        var support = {};
 
-        var startupHandler = function startupHandler (line) {
-            var parts = line.split(" ");
+        Object.keys(socket.support).forEach(function (name) {
+            var value = socket.support[name];
+            support[name] = Object.prototype.hasOwnProperty.call(supportParsers, name) ? supportParsers[name](value) : value;
+        });
 
-            // If WEBIRC fails.
-            if (parts[0] === "ERROR") {
-                socket.resolvePromise(Fail(failures.badProxyConfiguration));
-                return;
-            // Ignore PINGs.
-            } else if (parts[0] === "PING") {
-                return;
-            }
+        return support;
+    },
 
-            var numeric = parts[1];
+    // Our current nickname as the server knows it, or null before
+    // registration.
+    getNickname: function () {
+        return this.hostmask.nick;
+    },
 
-            if (numeric === "CAP") {
-                var capabilities = socket.capabilities;
+    // Why connecting failed, as a copy of `failureDetails`,
+    // or null when it hasn't failed.
+    getFailureDetails: function () {
+        var details = this.failureDetails;
 
-                if (parts[3] === "LS") {
-                    serverCapabilties = parts.slice(4);
-                    // Remove the colon off the first capability.
-                    serverCapabilties[0] = serverCapabilties[0].slice(1);
-
-                    if (capabilities.requires.length !== 0) {
-                        if (capabilities.requires.every(function (capability) {
-                            return includes(serverCapabilties, capability);
-                        }))
-                        {
-                            socket.raw(format("CAP REQ :%s", capabilities.requires.join(" ")));
-                            sentRequests += 1;
-                        } else {
-                            socket.raw("QUIT");
-                            socket.resolvePromise(Fail(failures.missingRequiredCapabilities));
-                            return;
-                        }
-                    }
+        if (!details) {
+            return null;
+        }
 
-                    capabilities.wants
-                    .filter(function (capability) {
-                        return includes(serverCapabilties, capability);
-                    })
-                    .forEach(function (capability) {
-                        socket.raw(format("CAP REQ :%s", capability));
-                        sentRequests += 1;
-                    });
+        return Object.keys(details).reduce(function (copy, key) {
+            copy[key] = Array.isArray(details[key]) ? details[key].slice() : details[key];
+            return copy;
+        }, {});
+    },
 
-                    return;
-                } else if (parts[3] === "NAK") {
-                    respondedRequests += 1;
-                    var capability = parts[4].slice(1);
+    // Average lag of the recent lag probes in milliseconds,
+    // or null when no probe has been answered yet.
+    getLatency: function () {
+        if (this.lags.length === 0) {
+            return null;
+        }
 
-                    if (includes(capabilities.requires, capability)) {
-                        socket.raw("QUIT");
-                        socket.resolvePromise(Fail(failures.missingRequiredCapabilities));
-                        return;
-                    }
-                } else if (parts[3] === "ACK") {
-                    respondedRequests += 1;
+        return Math.round(this.lags.reduce(function (sum, lag) { return sum + lag; }, 0) / this.lags.length);
+    }
 
-                    var capability = parts[4].slice(1);
+    /*
+    // For debugging tests.
 
-                    if (includes(capabilities.wants, capability)) {
-                        acknowledgedCapabilities.push(capability);
-                    }
-                }
+    removeListener: function (message, fn) {
+        console.log(format(" IrcSocket   [OFF] %s %s", message, fn.name));
+        EventEmitter.prototype.removeListener.apply(this, arguments);
+    }
+    */
+}));
 
-                if (sentRequests === respondedRequests) {
-                    socket.raw("CAP END");
+// Failures worth trying to connect again for. Everything
+// else is a problem with the configuration.
+var retryableFailures = [
+    failures.killed,
+    failures.socketEnded,
+    failures.socketError,
+    failures.registrationTimedOut,
+    failures.throttled,
+    failures.serverError
+];
+
+// Events of the underlying Sockets that ReconnectingSocket re-emits.
+var forwardedEvents = [
+    "connect",
+    "data",
+    "message",
+    "ready",
+    "close",
+    "end",
+    "timeout",
+    "error",
+    "capabilities",
+    "support",
+    "backlog",
+    "nick",
+    "batch",
+    "handshake",
+    "registered",
+    "lag",
+    "recordError"
+];
+
+// Fisher-Yates shuffle of a copy of the array.
+var shuffle = function (array) {
+    var shuffled = array.slice();
+
+    for (var index = shuffled.length - 1; index > 0; index--) {
+        var swapIndex = Math.floor(Math.random() * (index + 1));
+        var swapped = shuffled[index];
+        shuffled[index] = shuffled[swapIndex];
+        shuffled[swapIndex] = swapped;
+    }
 
-                    // 4. Send USER
-                    sendUser();
+    return shuffled;
+};
 
-                    // 5. Send NICK
-                    sendNick();
-                }
-            } else if (numeric === "NOTICE") {
-                if (endsWith(line, "Login unsuccessful")) {
-                    // irc.twitch.tv only in their non-standardness.
-                    // Server doesn't kill the socket, but it doesn't accept input afterwards either.
-                    socket.resolvePromise(Fail(failures.badPassword));
-                }
-            } else if (numeric === "001") {
-                socket.status = "running";
+/**
+ *
+ * Reconnecting IRC Socket
+ *
+ * Keeps an IRC Socket connected, creating a new Socket with the same
+ * configuration and a fresh socket from `createSocket` for each attempt.
+ * Events of the current Socket are re-emitted.
+ *
+ * With `config.servers`, each attempt is made to the next endpoint,
+ * only backing off once every endpoint has failed.
+ */
+var ReconnectingSocket = Socket.Reconnecting = function ReconnectingSocket (config, createSocket) {
+    var client = Object.create(ReconnectingSocket.prototype);
+    var reconnect = config.reconnect || {};
+
+    client.config = config;
+    client.createSocket = createSocket || config.createSocket;
+    client.socket = null;
+    client.attempts = 0;
+    client.isStopped = false;
+    client.timer = null;
+
+    client.initialDelay = reconnect.initialDelay || 1000;
+    client.maxDelay = reconnect.maxDelay || 5 * 60 * 1000;
+    client.multiplier = reconnect.multiplier || 2;
+    client.jitter = typeof reconnect.jitter === "number" ? reconnect.jitter : 0.5;
+    client.maxAttempts = reconnect.maxAttempts || Infinity;
+
+    // Endpoints are config overrides, e.g. {server, port, connectOptions}.
+    // endpointFailures := [{server, port, failure, error}] of the failed
+    // attempts since the last time we were ready.
+    client.servers = (config.servers || [{}]).map(function (endpoint) {
+        return typeof endpoint === "string" ? { server: endpoint } : endpoint;
+    });
+    client.serverOrder = config.serverOrder || "ordered";
+    client.endpoints = client.servers;
+    client.endpointIndex = 0;
+    client.endpointFailures = [];
 
-                var data = {
-                    capabilities: acknowledgedCapabilities,
-                    nickname: nickname
-                };
+    if (!includes(["ordered", "shuffled"], client.serverOrder)) {
+        throw new Error(format("Unknown server order '%s'.", client.serverOrder));
+    }
 
-                socket.emit("ready", data);
-                socket.resolvePromise(Ok(data));
-            } else if (includes(["410", "421"], numeric)) {
-                // Sent by Twitch.tv when doing a CAP command.
-                if (socket.capabilities.requires) {
-                    socket.raw("QUIT");
-                    socket.resolvePromise(Fail(failures.missingRequiredCapabilities));
-                } else {
-                    // 4. Send USER
-                    sendUser();
+    client.startupPromise = new Promise(function (resolve) {
+        client.resolvePromise = resolve;
+    });
 
-                    // 5. Send NICK
-                    sendNick();
-                }
-            } else if (numeric === "464") {
-                // Only sent if a bad password is given.
-                // Server will end the socket afterwards.
-                socket.resolvePromise(Fail(failures.badPassword));
-            } else if (includes(["431", "432", "433", "436", "437", "484"], numeric)) {
-                // Reasons you cannot use a nickname. We ignore what it is,
-                // and just try with the next nickname.
-                sendNick();
-            } else if (numeric === "PING") {
-                // PINGs are handled elsewhere, and a known message type.
-                /* no-op */
-            }
-        };
+    return client;
+};
 
-        // Subscribe & Unsubscribe
-        // TODO(Havvy): Return /this/ Promise, 
-        socket.on("data", startupHandler);
-        socket.startupPromise.finally(function (res) {
-            socket.removeListener("data", startupHandler);
-        });
+// The configuration of a Socket to the endpoint, which takes
+// precedence over the client's configuration.
+var endpointConfig = function (client, endpoint) {
+    var config = Object.create(client.config);
 
-        // 1. Send WEBIRC
-        if (typeof socket.proxy === "object") {
-            var proxy = socket.proxy;
+    Object.keys(endpoint).forEach(function (key) {
+        config[key] = endpoint[key];
+    });
 
-            socket.raw(["WEBIRC", proxy.password, proxy.username, proxy.hostname, proxy.ip]);
-        }
+    return config;
+};
 
-        // 2. Send PASS
-        // Will force kill connection if wrong.
-        if (typeof socket.password === "string") {
-            socket.raw(["PASS", socket.password]);
-        }
+// Connects once, scheduling another attempt when the connection
+// fails for a retryable reason or closes after being ready.
+var attemptConnection = function (client) {
+    if (client.endpointIndex === 0 && client.serverOrder === "shuffled") {
+        client.endpoints = shuffle(client.servers);
+    }
 
-        // 3. Send CAP LS
-        if (typeof socket.capabilities === "object") {
-            socket.raw("CAP LS");
-        } else {
-            // 4. Send USER
-            sendUser();
+    var config = endpointConfig(client, client.endpoints[client.endpointIndex]);
+    var socket = Socket(config, client.createSocket(config));
+    var wasReady = false;
+    var lastError = null;
 
-            // 5. Send NICK.
-            sendNick();
-        }
+    client.socket = socket;
+    client.attempts += 1;
+
+    forwardedEvents.forEach(function (event) {
+        socket.on(event, function () {
+            client.emit.apply(client, [event].concat(Array.prototype.slice.call(arguments)));
+        });
     });
 
-    socket.impl.on("error", function (error) {
-        socket.status = "closed";
-        socket.emit("error", error);
+    socket.on("error", function (error) {
+        lastError = error;
     });
 
-    socket.impl.on("close", function () {
-        if (socket.status === "starting" || socket.status === "connecting") {
-            socket.resolvePromise(Fail(failures.killed));
+    socket.on("close", function () {
+        if (wasReady && socket === client.socket) {
+            scheduleConnection(client, null);
         }
-        socket.status = "closed";
-        socket.emit("close");
     });
 
-    socket.impl.on("end", function () {
-        socket.emit("end");
-
-        if (socket.startupPromise.isPending()) {
-            socket.resolvePromise(Fail(failures.socketEnded));
+    socket.connect().then(function (result) {
+        if (result.isOk()) {
+            wasReady = true;
+            client.attempts = 0;
+            client.endpointIndex = 0;
+            client.endpointFailures = [];
+            client.resolvePromise(result);
+            return;
         }
 
-        // Clean up our timeout.
-        clearTimeout(timeout);
-    });
+        socket.end();
 
-    socket.impl.on("timeout", function () {
-        socket.emit("timeout");
+        client.endpointFailures.push({
+            server: socket.connectOptions.host,
+            port: socket.connectOptions.port,
+            failure: result.fail(),
+            error: lastError
+        });
+
+        if (client.isStopped) {
+            client.resolvePromise(result);
+        } else if (includes(retryableFailures, result.fail()) && client.attempts < client.maxAttempts) {
+            client.endpointIndex = (client.endpointIndex + 1) % client.endpoints.length;
+            scheduleConnection(client, result.fail());
+        } else {
+            client.isStopped = true;
+            client.emit("stopped", result.fail());
+            client.resolvePromise(result);
+        }
     });
+};
 
-    socket.impl.setEncoding("utf-8");
-    socket.impl.setNoDelay();
+// Failing over to the next endpoint is immediate. After every endpoint
+// has failed, exponential backoff, with up to `jitter` of the delay
+// randomly taken off.
+var scheduleConnection = function (client, failure) {
+    if (client.isStopped || client.timer !== null) {
+        return;
+    }
 
-    socket.on("timeout", function () {
-        socket.end();
+    var delay = 0;
+
+    if (client.endpointIndex === 0) {
+        var failedRounds = Math.ceil(client.attempts / client.endpoints.length);
+        delay = Math.min(client.maxDelay, client.initialDelay * Math.pow(client.multiplier, Math.max(0, failedRounds - 1)));
+        delay = Math.round(delay * (1 - client.jitter * Math.random()));
+    }
+
+    var endpoint = endpointConfig(client, client.endpoints[client.endpointIndex]);
+
+    client.emit("reconnecting", {
+        attempt: client.attempts + 1,
+        delay: delay,
+        failure: failure,
+        server: endpoint.server,
+        port: endpoint.port || 6667
     });
 
-    return socket;
+    client.timer = setTimeout(function () {
+        client.timer = null;
+        attemptConnection(client);
+    }, delay);
 };
 
-Socket.connectFailures = failures;
-
-Socket.prototype = Object.create(EventEmitter.prototype, intoPropertyDescriptors({
+ReconnectingSocket.prototype = Object.create(EventEmitter.prototype, intoPropertyDescriptors({
+    // Returns the same kind of promise as Socket's connect, resolved
+    // by the first ready or by giving up on connecting.
     connect: function () {
-        if (this.isStarted()) {
-            throw new Error("Cannot restart an irc-socket Socket.");
+        if (this.socket !== null) {
+            throw new Error("Cannot restart an irc-socket ReconnectingSocket.");
         }
 
-        this.status = "connecting";
-        this.impl.connect(this.connectOptions);
-
+        attemptConnection(this);
         return this.startupPromise;
     },
 
+    connectAsync: function () {
+        var client = this;
+
+        return settleConnection(this.connect(), function () {
+            return client.socket.getFailureDetails();
+        });
+    },
+
+    // Quits the current Socket and stops reconnecting.
+    quit: function (reason) {
+        this.isStopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        return this.socket !== null ? this.socket.quit(reason) : Promise.resolve(null);
+    },
+
+    // Ends the current Socket and stops reconnecting.
     end: function () {
-        if (!this.isConnected()) {
-            return;
+        this.isStopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.socket !== null) {
+            this.socket.end();
         }
+    },
 
-        if (this.startupPromise.isPending()) {
-            this.resolvePromise(Fail(failures.socketEnded));
+    raw: function (message) {
+        if (this.socket !== null) {
+            this.socket.raw(message);
         }
+    },
 
-        this.impl.end();
+    isReady: function () {
+        return this.socket !== null && this.socket.isReady();
     },
 
-    raw: function (message) {
-        if (!this.isConnected()) {
+    getSocket: function () {
+        return this.socket;
+    },
+
+    // Why each endpoint failed since the last time we were ready.
+    getFailures: function () {
+        return this.endpointFailures.slice();
+    }
+}));
+
+/**
+ *
+ * Replay Socket
+ *
+ * Stands in for a net.Socket, playing back a recording made with the
+ * `record` option to a fresh Socket. Recorded events are played in order
+ * as fast as possible, but an event recorded after an outbound line is
+ * held back until the client has written its line.
+ *
+ * Lines the client writes are compared, in order, to the recorded lines,
+ * and each difference is emitted as a `mismatch` event.
+ */
+var ReplaySocket = Socket.Replay = function ReplaySocket (recording, options) {
+    var replay = Object.create(ReplaySocket.prototype);
+    options = options || {};
+
+    // recording := a path to a JSON lines recording, or its entries.
+    replay.entries = typeof recording === "string" ?
+        fs.readFileSync(recording, "utf-8").split("\n")
+        .filter(function (line) { return line.trim() !== ""; })
+        .map(function (line) { return JSON.parse(line); }) :
+        recording;
+
+    // Milliseconds to wait for the client to write a recorded line
+    // before counting it as missing and playing on.
+    replay.writeTimeout = options.writeTimeout || 1000;
+
+    // Indices into `entries` of the recorded writes, of which the
+    // first `writeCursor` have been compared to what the client wrote.
+    replay.writes = replay.entries.reduce(function (writes, entry, index) {
+        return entry.type === "write" ? writes.concat([index]) : writes;
+    }, []);
+    replay.writeCursor = 0;
+
+    // Index into `entries` of the next entry to play.
+    replay.cursor = 0;
+    replay.timer = null;
+    replay.isScheduled = false;
+    replay.isPlaying = false;
+    replay.isPaused = false;
+    replay.isClosed = false;
+
+    // mismatches := [{index, expected, actual}] where index is the
+    // recorded write's entry index, and expected or actual is null
+    // when a line is missing from the client or from the recording.
+    replay.mismatches = [];
+
+    return replay;
+};
+
+var flagMismatch = function (replay, index, actual) {
+    var mismatch = {
+        index: index,
+        expected: index === null ? null : replay.entries[index].line,
+        actual: actual
+    };
+
+    replay.mismatches.push(mismatch);
+    replay.emit("mismatch", mismatch);
+};
+
+var scheduleReplay = function (replay) {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+
+    if (replay.isScheduled) {
+        return;
+    }
+
+    replay.isScheduled = true;
+    setImmediate(function () {
+        replay.isScheduled = false;
+        playEntry(replay);
+    });
+};
+
+var playEntry = function (replay) {
+    if (!replay.isPlaying || replay.isPaused || replay.isClosed || replay.timer !== null) {
+        return;
+    }
+
+    // Skip writes the client has already made.
+    while (replay.cursor < replay.entries.length &&
+        replay.entries[replay.cursor].type === "write" &&
+        replay.writes.indexOf(replay.cursor) < replay.writeCursor) {
+        replay.cursor += 1;
+    }
+
+    if (replay.cursor === replay.entries.length) {
+        replay.isPlaying = false;
+        replay.emit("replayEnd");
+        return;
+    }
+
+    var entry = replay.entries[replay.cursor];
+
+    if (entry.type === "write") {
+        replay.timer = setTimeout(function () {
+            replay.timer = null;
+            replay.writeCursor += 1;
+            flagMismatch(replay, replay.cursor, null);
+            scheduleReplay(replay);
+        }, replay.writeTimeout);
+        return;
+    }
+
+    replay.cursor += 1;
+
+    switch (entry.type) {
+        case "read":
+            replay.emit("data", chunkOf(entry));
+            break;
+        case "error":
+            // The recorded close comes next, and plays on its own.
+            replay.emit("error", new Error(entry.message));
+            break;
+        case "close":
+            // Nothing plays after the connection closes.
+            replay.isClosed = true;
+            replay.isPlaying = false;
+            replay.emit("close");
+            replay.emit("replayEnd");
             return;
+        default:
+            // connect, end, and timeout.
+            replay.emit(entry.type);
+    }
+
+    scheduleReplay(replay);
+};
+
+ReplaySocket.prototype = Object.create(EventEmitter.prototype, intoPropertyDescriptors({
+    connect: function () {
+        this.isPlaying = true;
+        scheduleReplay(this);
+    },
+
+    write: function (data) {
+        // Writes are compared as the recorder saw them: the string given
+        // to `write`, without the line ending, with secrets redacted.
+        var actual = redactLine(String(data).replace(/\r\n$/, ""));
+
+        if (this.writeCursor === this.writes.length) {
+            flagMismatch(this, null, actual);
+            return true;
         }
 
-        if (Array.isArray(message)) {
-            message = message.join(" ");
+        var index = this.writes[this.writeCursor];
+        this.writeCursor += 1;
+
+        if (this.entries[index].line !== actual) {
+            flagMismatch(this, index, actual);
         }
 
-        if (message.indexOf("\n") !== -1) {
-            throw new Error("Newline detected in message. Use multiple raws instead.");
+        if (this.timer !== null && this.cursor === index) {
+            scheduleReplay(this);
         }
 
-        this.impl.write(message + "\r\n", "utf-8");
-    },
-    
-    setTimeout: function (timeout, callback) {
-        this.impl.setTimeout(timeout, callback);
+        return true;
     },
 
-    isStarted: function () {
-        return this.status !== "initialized";
+    end: function () {
+        var replay = this;
+
+        if (this.isClosed) {
+            return;
+        }
+
+        this.isClosed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        setImmediate(function () {
+            replay.emit("close");
+        });
     },
 
-    isConnected: function () {
-        return includes(["connecting", "starting", "running"], this.status);
+    destroy: function () {
+        this.end();
     },
 
-    isReady: function () {
-        return this.status === "running";
+    pause: function () {
+        this.isPaused = true;
     },
 
-    getRealName: function () {
-        return this._realname;
-    }
+    resume: function () {
+        this.isPaused = false;
+        scheduleReplay(this);
+    },
 
-    /*
-    // For debugging tests.
+    // Timing isn't replayed, so there's nothing to time out.
+    setTimeout: function () {},
+    setNoDelay: function () {},
 
-    removeListener: function (message, fn) {
-        console.log(format(" IrcSocket   [OFF] %s %s", message, fn.name));
-        EventEmitter.prototype.removeListener.apply(this, arguments);
+    getMismatches: function () {
+        return this.mismatches.slice();
     }
-    */
 }));
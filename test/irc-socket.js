@@ -7,6 +7,8 @@ var format = require("util").format;
 var debug = false;
 var logfn = debug ? console.log.bind(console) : function () {};
 
+var crypto = require("crypto");
+
 var MockSocket = require("@havvy/mock-net-socket");
 var IrcSocket = require("../irc-socket.js");
 
@@ -38,6 +40,58 @@ var pad = function (str) {
     return ("      " + str).slice(-9);
 };
 
+// Server side of a SCRAM exchange, so that the client's proof
+// and our signature are actually checked.
+var ScramServer = function (hash, password) {
+    var hmac = function (key, message) {
+        return crypto.createHmac(hash, key).update(message).digest();
+    };
+    var digest = function (message) {
+        return crypto.createHash(hash).update(message).digest();
+    };
+    var salt = crypto.randomBytes(16);
+    var saltedPassword = crypto.pbkdf2Sync(password, salt, 4096, digest("").length, hash);
+    var clientFirstBare, serverFirst;
+
+    return {
+        // Takes the base64 client-first-message, returns base64 server-first-message.
+        first: function (message) {
+            clientFirstBare = Buffer.from(message, "base64").toString().slice(3);
+            var nonce = clientFirstBare.split(",")[1].slice(2) + "servernonce";
+            serverFirst = format("r=%s,s=%s,i=4096", nonce, salt.toString("base64"));
+            return Buffer.from(serverFirst).toString("base64");
+        },
+
+        // Takes the base64 client-final-message, returns base64 server-final-message,
+        // or null if the client's proof is wrong.
+        final: function (message) {
+            var clientFinal = Buffer.from(message, "base64").toString();
+            var withoutProof = clientFinal.slice(0, clientFinal.indexOf(",p="));
+            var proof = Buffer.from(clientFinal.slice(clientFinal.indexOf(",p=") + 3), "base64");
+            var authMessage = [clientFirstBare, serverFirst, withoutProof].join(",");
+            var storedKey = digest(hmac(saltedPassword, "Client Key"));
+            var signature = hmac(storedKey, authMessage);
+            var clientKey = Buffer.alloc(proof.length);
+
+            for (var index = 0; index < proof.length; index += 1) {
+                clientKey[index] = proof[index] ^ signature[index];
+            }
+
+            if (!digest(clientKey).equals(storedKey)) {
+                return null;
+            }
+
+            var serverSignature = hmac(hmac(saltedPassword, "Server Key"), authMessage);
+            return Buffer.from("v=" + serverSignature.toString("base64")).toString("base64");
+        }
+    };
+};
+
+// Returns the parameter of the nth AUTHENTICATE message written.
+var authenticateParam = function (socket, n) {
+    return socket.impl.write.getCall(n).args[0].slice("AUTHENTICATE ".length, -2);
+};
+
 var baseConfig = {
     nicknames: ["testbot"],
     username: "testuser",
@@ -61,8 +115,22 @@ var messages = {
     cap_ack_a: ":irc.test.net CAP * ACK :a\r\n",
     cap_nak_a: ":irc.test.net CAP * NAK :a\r\n",
     cap_nak_b: ":irc.test.net CAP * NAK :b\r\n",
+    cap_ack_a_b: ":irc.test.net CAP * ACK :a b\r\n",
+    cap_nak_a_b: ":irc.test.net CAP * NAK :a b \r\n",
+    cap_ls_302_1: ":irc.test.net CAP * LS * :a b=1,2\r\n",
+    cap_ls_302_2: ":irc.test.net CAP * LS :c sasl=PLAIN,EXTERNAL\r\n",
+    cap_ls_sasl: ":irc.test.net CAP * LS :a sasl\r\n",
+    cap_ack_sasl: ":irc.test.net CAP * ACK :sasl\r\n",
+    authenticate_plus: "AUTHENTICATE +\r\n",
+    rpl_loggedin: ":irc.test.net 900 * *!testuser@localhost testaccount :You are now logged in as testaccount\r\n",
+    rpl_saslsuccess: ":irc.test.net 903 * :SASL authentication successful\r\n",
+    err_saslfail: ":irc.test.net 904 * :SASL authentication failed\r\n",
+    err_saslaborted: ":irc.test.net 906 * :SASL authentication aborted\r\n",
+    rpl_saslmechs: ":irc.test.net 908 * PLAIN,EXTERNAL :are available SASL mechanisms\r\n",
     cap_not_found_410: ":irc.test.net 410 :Invalid CAP command\r\n",
     cap_not_found_421: ":irc.eu.mibbit.net 421 Havvy2 BLAH :Unknown command\r\n",
+    rpl_isupport_1: ":irc.test.net 005 testbot CHANTYPES=#& EXCEPTS PREFIX=(ov)@+ CHANMODES=beI,k,l,imnt NICKLEN=30 :are supported by this server\r\n",
+    rpl_isupport_2: ":irc.test.net 005 testbot CASEMAPPING=rfc1459 TARGMAX=PRIVMSG:4,NOTICE:4,JOIN: NETWORK=Test\\x20Network :are supported by this server\r\n",
     e_with_acute: "\u00E9\r\n",
     e_with_combining_acute: "\u0065\u0301\r\n",
     fi_ligature: "\uFB01\r\n",
@@ -70,6 +138,17 @@ var messages = {
     hangul_vowel_string_concat2: "\u1161\u11A8\r\n"
 };
 
+// Connects a socket with the given config merged over baseConfig,
+// returning a Promise of the socket once it is ready.
+var connectSocket = function (config) {
+    var socket = IrcSocket(merge(baseConfig, config || {}), MockSocket(logfn));
+
+    var promise = socket.connect();
+    socket.impl.acceptConnect();
+    socket.impl.acceptData(messages.rpl_welcome);
+    return promise.then(function () { return socket; });
+};
+
 describe("IRC Sockets", function () {
     describe("Status", function () {
         // In this suite, we test the value of 'status' directly.
@@ -378,7 +457,7 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_not_found_421);
             assert(socket.impl.write.getCall(1).calledWithExactly("QUIT\r\n", "utf-8"));
 
@@ -402,7 +481,7 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_not_found_410);
             assert(socket.impl.write.getCall(1).calledWithExactly("QUIT\r\n", "utf-8"));
 
@@ -425,7 +504,7 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ls);
             assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ack_a);
@@ -459,7 +538,7 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ls);
             assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_nak_a);
@@ -483,7 +562,7 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ls);
             assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ack_a);
@@ -511,7 +590,7 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ls);
             assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_nak_a);
@@ -539,192 +618,3254 @@ describe("IRC Sockets", function () {
             });
 
             socket.impl.acceptConnect();
-            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ls);
-            assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
-            assert(socket.impl.write.getCall(2).calledWithExactly("CAP REQ :b\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a b\r\n", "utf-8"));
+            // The batch is rejected as a whole, so each is retried alone.
+            socket.impl.acceptData(messages.cap_nak_a_b);
+            assert(socket.impl.write.getCall(2).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(3).calledWithExactly("CAP REQ :b\r\n", "utf-8"));
             socket.impl.acceptData(messages.cap_ack_a);
             socket.impl.acceptData(messages.cap_nak_b);
-            assert(socket.impl.write.getCall(3).calledWithExactly("CAP END\r\n", "utf-8"));
-            assert(socket.impl.write.getCall(4).calledWithExactly("USER testuser 8 * :realbot\r\n", "utf-8"));
-            assert(socket.impl.write.getCall(5).calledWithExactly("NICK testbot\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(4).calledWithExactly("CAP END\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(5).calledWithExactly("USER testuser 8 * :realbot\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(6).calledWithExactly("NICK testbot\r\n", "utf-8"));
             socket.impl.acceptData(messages.rpl_welcome);
 
             return promise;
         });
 
-        it("Config object is not mutated", function () {
-            var config = Object.freeze({
-                nicknames: Object.freeze(["testbot"]),
-                username: "testuser",
-                server: "irc.test.net",
-                realname: "realbot",
-                port: 6667,
-                socket: MockSocket(logfn)
+        it("Capabilities wanted (multiple) w/ACK", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                capabilities: {
+                    wants: ["a", "b"]
+                }
             });
-
             var socket = IrcSocket(config);
 
             var promise = socket.connect()
             .then(function (res) {
                 assert(res.isOk());
+                assert(equal(res.ok().capabilities, ["a", "b"]));
             });
 
             socket.impl.acceptConnect();
-            logfn(inspect(socket.impl.write.getCall(0).args));
-            assert(socket.impl.write.getCall(0).calledWithExactly("USER testuser 8 * :realbot\r\n", "utf-8"));
-            assert(socket.impl.write.getCall(1).calledWithExactly("NICK testbot\r\n", "utf-8"));
+            socket.impl.acceptData(messages.cap_ls);
+            assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :a b\r\n", "utf-8"));
+            socket.impl.acceptData(messages.cap_ack_a_b);
+            assert(socket.impl.write.getCall(2).calledWithExactly("CAP END\r\n", "utf-8"));
             socket.impl.acceptData(messages.rpl_welcome);
 
             return promise;
         });
 
-        it("connectArgs is passed to connect method", function () {
-            var config = merge(baseConfig, {});
-            var socket = IrcSocket(config, MockSocket(logfn));
+        it("Capabilities wanted w/none advertised", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                capabilities: {
+                    wants: ["c"]
+                }
+            });
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(equal(res.ok().capabilities, []));
+            });
 
-            socket.connect();
             socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls);
+            assert(socket.impl.write.getCall(1).calledWithExactly("CAP END\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
 
-            assert(equal(socket.impl.connect.getCall(0).args, [{
-                port: 6667,
-                host: "irc.test.net"
-            }]));
+            return promise;
         });
 
-        it("Failure by .end() before connect event fired", function () {
-            var socket = IrcSocket(baseConfig, MockSocket(logfn));
+        it("Capabilities w/multi-line CAP LS 302 and values", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                capabilities: {
+                    requires: ["c"],
+                    wants: ["a"]
+                }
+            });
+            var socket = IrcSocket(config);
 
             var promise = socket.connect()
             .then(function (res) {
-                assert(res.isFail());
-                assert(res.fail() === IrcSocket.connectFailures.socketEnded);
+                assert(res.isOk());
+                assert(equal(res.ok().capabilities, ["c", "a"]));
+                assert(equal(res.ok().serverCapabilities, {
+                    a: "",
+                    b: "1,2",
+                    c: "",
+                    sasl: "PLAIN,EXTERNAL"
+                }));
             });
-            socket.end();
+
             socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_302_1);
+            assert(socket.impl.write.getCall(1) === null);
+            socket.impl.acceptData(messages.cap_ls_302_2);
+            assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :c\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(2).calledWithExactly("CAP REQ :a\r\n", "utf-8"));
+            socket.impl.acceptData(":irc.test.net CAP * ACK :c\r\n");
+            socket.impl.acceptData(messages.cap_ack_a);
+            assert(socket.impl.write.getCall(3).calledWithExactly("CAP END\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
 
             return promise;
-        })
-    });
+        });
 
-    describe("handles pings", function () {
-        var socket;
+        it("Capabilities requested in batches that fit the line limit", function () {
+            var wanted = [];
+
+            for (var index = 0; index < 60; index++) {
+                wanted.push("capability-" + index);
+            }
+
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                capabilities: {
+                    wants: wanted
+                }
+            });
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(equal(res.ok().capabilities, wanted));
+            });
 
-        beforeEach(function () {
-            socket = IrcSocket(baseConfig, MockSocket(logfn));
-            
-            var promise = socket.connect();
             socket.impl.acceptConnect();
+            socket.impl.acceptData(format(":irc.test.net CAP * LS :%s\r\n", wanted.join(" ")));
+
+            var firstRequest = socket.impl.write.getCall(1).args[0];
+            var secondRequest = socket.impl.write.getCall(2).args[0];
+            assert(Buffer.byteLength(firstRequest) <= 512);
+            assert(equal(
+                firstRequest.slice(9, -2).split(" ").concat(secondRequest.slice(9, -2).split(" ")),
+                wanted
+            ));
+
+            socket.impl.acceptData(format(":irc.test.net CAP * ACK :%s\r\n", firstRequest.slice(9, -2)));
+            socket.impl.acceptData(format(":irc.test.net CAP * ACK :%s\r\n", secondRequest.slice(9, -2)));
+            assert(socket.impl.write.getCall(3).calledWithExactly("CAP END\r\n", "utf-8"));
             socket.impl.acceptData(messages.rpl_welcome);
+
             return promise;
         });
 
-        it("responds to pings", function (done) {
-            socket.on("data", function () {
-                assert(socket.impl.write.calledWith("PONG :PINGMESSAGE\r\n", "utf-8"));
-                done();
+        it("SASL w/mechanisms from CAP LS 302", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    mechanisms: ["SCRAM-SHA-256", "PLAIN"],
+                    account: "testaccount",
+                    password: "hunter2"
+                }
             });
+            var socket = IrcSocket(config);
 
-            socket.impl.acceptData(messages.ping);
-        });
-    });
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+            });
 
-    describe("timeouts", function () {
-        var socket, clock;
-        var fiveMinutes = 5 * 60 * 1000;
-        var millisecond = 1;
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(":irc.test.net CAP * LS :sasl=PLAIN,EXTERNAL\r\n");
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            assert(socket.impl.write.getCall(2).calledWithExactly("AUTHENTICATE PLAIN\r\n", "utf-8"));
+            socket.impl.acceptData(messages.authenticate_plus);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            socket.impl.acceptData(messages.rpl_welcome);
 
-        var tick = function (milliseconds) {
-            logfn(format("     Timer  [TICK] %s", pad(String(milliseconds))));
-            clock.tick(milliseconds);
-        }
+            return promise;
+        });
 
-        beforeEach(function () {
-            logfn(format("     Timer  [FAKE]"))
-            clock = sinon.useFakeTimers();
+        it("ignores SASL replies when not authenticating", function () {
+            var socket = IrcSocket(merge(baseConfig, { socket: MockSocket(logfn) }));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                socket.end();
+            });
 
-            socket = IrcSocket(baseConfig, MockSocket(logfn));
-            
-            var promise = socket.connect();
             socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.authenticate_plus);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            socket.impl.acceptData(":irc.test.net 907 * :You have already authenticated\r\n");
+            socket.impl.acceptData(":irc.test.net 908 *\r\n");
+            socket.impl.acceptData(messages.err_saslfail);
+            assert(socket.impl.write.callCount === 2);
             socket.impl.acceptData(messages.rpl_welcome);
 
             return promise;
         });
 
-        afterEach(function () {
-            logfn(format("     Timer  [REAL]"))
-            clock.restore();
-        });
+        it("SASL PLAIN w/success", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
 
-        it("sends a ping after 5 minutes of no server response", function (done) {
-            setTimeout(function () {
-                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
-                done();
-            }, fiveMinutes);
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(res.ok().account === "testaccount");
+                assert(equal(res.ok().capabilities, ["sasl"]));
+            });
 
-            tick(fiveMinutes + millisecond);
-        });
+            socket.impl.acceptConnect();
+            assert(socket.impl.write.getCall(0).calledWithExactly("CAP LS 302\r\n", "utf-8"));
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            assert(socket.impl.write.getCall(1).calledWithExactly("CAP REQ :sasl\r\n", "utf-8"));
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            assert(socket.impl.write.getCall(2).calledWithExactly("AUTHENTICATE PLAIN\r\n", "utf-8"));
+            socket.impl.acceptData(messages.authenticate_plus);
+            assert(socket.impl.write.getCall(3).calledWithExactly("AUTHENTICATE dGVzdGFjY291bnQAdGVzdGFjY291bnQAaHVudGVyMg==\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_loggedin);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            assert(socket.impl.write.getCall(4).calledWithExactly("CAP END\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(5).calledWithExactly("USER testuser 8 * :realbot\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(6).calledWithExactly("NICK testbot\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
 
-        it("stays open if the PING is responded to", function (done) {
-            setTimeout(function () {
-                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
-                socket.impl.acceptData("PONG :ignored\r\n");
+            return promise;
+        });
 
-                socket.on("timeout", function () {
-                    done("timeout");
-                });
+        it("SASL EXTERNAL w/success", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    mechanism: "EXTERNAL"
+                }
+            });
+            var socket = IrcSocket(config);
 
-                setTimeout(function () {
-                    assert(socket.isReady());
-                    done();
-                }, fiveMinutes + millisecond);
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(res.ok().account === "testaccount");
+            });
 
-                tick(fiveMinutes + millisecond);
-            }, fiveMinutes);
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            assert(socket.impl.write.getCall(2).calledWithExactly("AUTHENTICATE EXTERNAL\r\n", "utf-8"));
+            socket.impl.acceptData(messages.authenticate_plus);
+            assert(socket.impl.write.getCall(3).calledWithExactly("AUTHENTICATE +\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_loggedin);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            assert(socket.impl.write.getCall(4).calledWithExactly("CAP END\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
 
-            tick(fiveMinutes + millisecond);
+            return promise;
         });
 
-        it("stays open if any data comes in", function (done) {
-            setTimeout(function () {
-                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
-                socket.impl.acceptData("partial message");
+        it("SASL PLAIN w/chunked payload", function () {
+            // 10 + 1 + 10 + 1 + 278 bytes encodes to exactly 400 base64 bytes.
+            var password = new Array(279).join("p");
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    account: "abcdefghij",
+                    password: password
+                }
+            });
+            var socket = IrcSocket(config);
 
-                socket.on("timeout", function () {
-                    done("timeout");
-                });
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+            });
 
-                setTimeout(function () {
-                    assert(socket.isReady());
-                    done();
-                }, fiveMinutes + millisecond);
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            socket.impl.acceptData(messages.authenticate_plus);
+
+            var payload = Buffer.from("abcdefghij\0abcdefghij\0" + password).toString("base64");
+            assert(payload.length === 400);
+            assert(socket.impl.write.getCall(3).calledWithExactly("AUTHENTICATE " + payload + "\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(4).calledWithExactly("AUTHENTICATE +\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            socket.impl.acceptData(messages.rpl_welcome);
 
-                tick(fiveMinutes + millisecond);
-            }, fiveMinutes);
+            return promise;
+        });
 
-            tick(fiveMinutes + millisecond);
+        it("SASL w/failure", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isFail());
+                assert(res.fail() === IrcSocket.connectFailures.saslFailed);
+                assert(socket.impl.write.getCall(4).calledWithExactly("QUIT\r\n", "utf-8"));
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            socket.impl.acceptData(messages.authenticate_plus);
+            socket.impl.acceptData(messages.err_saslfail);
+
+            return promise;
         });
 
-        it("times out if the ping is not responded too within five minutes", function (done) {
-            setTimeout(function () {
-                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
+        it("SASL SCRAM-SHA-256 w/success", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    mechanism: "SCRAM-SHA-256",
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
+            var server = ScramServer("sha256", "hunter2");
 
-                socket.on("timeout", function () {
-                    done();
-                });
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(res.ok().account === "testaccount");
+            });
 
-                // NOTE(Havvy): This fails for one or two milliseconds past,
-                //              but not three milliseconds. Not sure why.
-                //              Something about what sinon does.
-                setTimeout(function () {
-                    done("no timeout");
-                }, fiveMinutes + millisecond * 3);
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            assert(socket.impl.write.getCall(2).calledWithExactly("AUTHENTICATE SCRAM-SHA-256\r\n", "utf-8"));
+            socket.impl.acceptData(messages.authenticate_plus);
+            assert(Buffer.from(authenticateParam(socket, 3), "base64").toString().indexOf("n,,n=testaccount,r=") === 0);
+            socket.impl.acceptData(format("AUTHENTICATE %s\r\n", server.first(authenticateParam(socket, 3))));
+            var serverFinal = server.final(authenticateParam(socket, 4));
+            assert(serverFinal !== null);
+            socket.impl.acceptData(format("AUTHENTICATE %s\r\n", serverFinal));
+            assert(socket.impl.write.getCall(5).calledWithExactly("AUTHENTICATE +\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_loggedin);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            assert(socket.impl.write.getCall(6).calledWithExactly("CAP END\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
 
-                tick(fiveMinutes + millisecond);
-            }, fiveMinutes);
+            return promise;
+        });
 
-            tick(fiveMinutes + millisecond);
+        it("SASL SCRAM-SHA-1 w/bad server signature", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    mechanism: "SCRAM-SHA-1",
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
+            // Server that doesn't actually know our password.
+            var server = ScramServer("sha1", "not-hunter2");
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isFail());
+                assert(res.fail() === IrcSocket.connectFailures.saslFailed);
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            socket.impl.acceptData(messages.authenticate_plus);
+            socket.impl.acceptData(format("AUTHENTICATE %s\r\n", server.first(authenticateParam(socket, 3))));
+            socket.impl.acceptData("AUTHENTICATE " + Buffer.from("v=" + Buffer.from("forged").toString("base64")).toString("base64") + "\r\n");
+            assert(socket.impl.write.getCall(5).calledWithExactly("AUTHENTICATE *\r\n", "utf-8"));
+            socket.impl.acceptData(messages.err_saslaborted);
+
+            return promise;
+        });
+
+        it("SASL w/mechanism fallback on RPL_SASLMECHS", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    mechanisms: ["SCRAM-SHA-256", "SCRAM-SHA-1", "PLAIN"],
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(res.ok().account === "testaccount");
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            assert(socket.impl.write.getCall(2).calledWithExactly("AUTHENTICATE SCRAM-SHA-256\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_saslmechs);
+            socket.impl.acceptData(messages.err_saslfail);
+            // Skips SCRAM-SHA-1 since the server said it doesn't support it.
+            assert(socket.impl.write.getCall(3).calledWithExactly("AUTHENTICATE PLAIN\r\n", "utf-8"));
+            socket.impl.acceptData(messages.authenticate_plus);
+            assert(socket.impl.write.getCall(4).calledWithExactly("AUTHENTICATE dGVzdGFjY291bnQAdGVzdGFjY291bnQAaHVudGVyMg==\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_loggedin);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            assert(socket.impl.write.getCall(5).calledWithExactly("CAP END\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+
+        it("SASL w/no supported mechanisms", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    mechanisms: ["SCRAM-SHA-256"],
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isFail());
+                assert(res.fail() === IrcSocket.connectFailures.saslFailed);
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            socket.impl.acceptData(messages.rpl_saslmechs);
+            socket.impl.acceptData(messages.err_saslfail);
+            assert(socket.impl.write.getCall(3).calledWithExactly("QUIT\r\n", "utf-8"));
+
+            return promise;
+        });
+
+        it("SASL w/capability not supported", function () {
+            var config = merge(baseConfig, {
+                socket: MockSocket(logfn),
+                sasl: {
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            });
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isFail());
+                assert(res.fail() === IrcSocket.connectFailures.missingRequiredCapabilities);
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls);
+
+            return promise;
+        });
+
+        describe("Nickname generation", function () {
+            var nicknameInUse = function (nickname) {
+                return format(":irc.test.net 433 * %s :Nickname is already in use.\r\n", nickname);
+            };
+
+            var erroneousNickname = function (nickname) {
+                return format(":irc.test.net 432 * %s :Erroneous Nickname\r\n", nickname);
+            };
+
+            it("appends underscores by default", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknameGeneration: true
+                }), MockSocket(logfn));
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    assert(res.isOk());
+                    assert(res.ok().nickname === "testbot__");
+                });
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(nicknameInUse("testbot"));
+                assert(socket.impl.write.getCall(2).calledWithExactly("NICK testbot_\r\n", "utf-8"));
+                socket.impl.acceptData(nicknameInUse("testbot_"));
+                assert(socket.impl.write.getCall(3).calledWithExactly("NICK testbot__\r\n", "utf-8"));
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise;
+            });
+
+            it("appends digits up to the maximum attempts", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknameGeneration: {
+                        strategy: "digits",
+                        maxAttempts: 2
+                    }
+                }), MockSocket(logfn));
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    assert(res.isFail());
+                    assert(res.fail() === IrcSocket.connectFailures.nicknamesUnavailable);
+                    assert(socket.impl.write.getCall(4).calledWithExactly("QUIT\r\n", "utf-8"));
+                });
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(nicknameInUse("testbot"));
+                assert(socket.impl.write.getCall(2).calledWithExactly("NICK testbot1\r\n", "utf-8"));
+                socket.impl.acceptData(nicknameInUse("testbot1"));
+                assert(socket.impl.write.getCall(3).calledWithExactly("NICK testbot2\r\n", "utf-8"));
+                socket.impl.acceptData(nicknameInUse("testbot2"));
+
+                return promise;
+            });
+
+            it("uses a generator function", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknames: ["testbot", "otherbot"],
+                    nicknameGeneration: {
+                        strategy: function (base, attempt) {
+                            return format("%s-%s", base, attempt * 10);
+                        }
+                    }
+                }), MockSocket(logfn));
+
+                var promise = socket.connect();
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(nicknameInUse("testbot"));
+                socket.impl.acceptData(nicknameInUse("otherbot"));
+                // Based on the first configured nickname.
+                assert(socket.impl.write.getCall(3).calledWithExactly("NICK testbot-10\r\n", "utf-8"));
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise;
+            });
+
+            it("truncates to the maximum length", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknameGeneration: {
+                        maxLength: 8
+                    }
+                }), MockSocket(logfn));
+
+                var promise = socket.connect();
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(nicknameInUse("testbot"));
+                assert(socket.impl.write.getCall(2).calledWithExactly("NICK testbot_\r\n", "utf-8"));
+                socket.impl.acceptData(nicknameInUse("testbot_"));
+                assert(socket.impl.write.getCall(3).calledWithExactly("NICK testbo__\r\n", "utf-8"));
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise;
+            });
+
+            it("does not generate from erroneous nicknames", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknameGeneration: true
+                }), MockSocket(logfn));
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    assert(res.fail() === IrcSocket.connectFailures.nicknamesUnavailable);
+                    assert(socket.impl.write.getCall(2).calledWithExactly("QUIT\r\n", "utf-8"));
+                });
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(erroneousNickname("testbot"));
+
+                return promise;
+            });
+
+            it("shortens generated nicknames that are erroneous", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknameGeneration: {
+                        strategy: "digits"
+                    }
+                }), MockSocket(logfn));
+
+                var promise = socket.connect();
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(nicknameInUse("testbot"));
+                assert(socket.impl.write.getCall(2).calledWithExactly("NICK testbot1\r\n", "utf-8"));
+                socket.impl.acceptData(erroneousNickname("testbot1"));
+                assert(socket.impl.write.getCall(3).calledWithExactly("NICK testbo2\r\n", "utf-8"));
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise;
+            });
+        });
+
+        it("quit() during startup fails connecting", function () {
+            var socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            var quitPromise = socket.quit("Never mind.");
+            assert(socket.impl.write.lastCall.calledWithExactly("QUIT :Never mind.\r\n", "utf-8"));
+            socket.impl.acceptData("ERROR :Closing Link: testbot[localhost] (Quit: Never mind.)\r\n");
+
+            return Promise.all([promise, quitPromise])
+            .then(function (results) {
+                assert(results[0].fail() === IrcSocket.connectFailures.socketEnded);
+                assert(results[1] === "Closing Link: testbot[localhost] (Quit: Never mind.)");
+            });
+        });
+
+        describe("'handshake' events", function () {
+            it("report capability negotiation and SASL", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    capabilities: { wants: ["a"] },
+                    sasl: { account: "testaccount", password: "testpassword" }
+                }), MockSocket(logfn));
+                var events = [];
+                socket.on("handshake", function (event) { events.push(event); });
+
+                var promise = socket.connect();
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(":irc.test.net CAP * LS :a sasl=PLAIN\r\n");
+                socket.impl.acceptData(":irc.test.net CAP * ACK :sasl\r\n");
+                socket.impl.acceptData(":irc.test.net CAP * NAK :a\r\n");
+                socket.impl.acceptData(messages.authenticate_plus);
+                socket.impl.acceptData(messages.rpl_loggedin);
+                socket.impl.acceptData(messages.rpl_saslsuccess);
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise.then(function () {
+                    assert(equal(events.map(function (event) { return event.type; }), [
+                        "step",
+                        "capabilitiesListed",
+                        "capabilitiesAcknowledged",
+                        "capabilitiesRejected",
+                        "step",
+                        "sasl",
+                        "sasl",
+                        "sasl",
+                        "step",
+                        "numeric"
+                    ]));
+                    assert(events[0].step === "capabilities");
+                    assert(equal(events[1].capabilities, { a: "", sasl: "PLAIN" }));
+                    assert(equal(events[2].capabilities, ["sasl"]));
+                    assert(events[2].isRequired);
+                    assert(equal(events[3].capabilities, ["a"]));
+                    assert(events[4].step === "sasl");
+                    assert(events[5].status === "started" && events[5].mechanism === "PLAIN");
+                    assert(events[6].status === "loggedIn" && events[6].account === "testaccount");
+                    assert(events[7].status === "succeeded");
+                    assert(events[8].step === "registration");
+                    assert(events[9].numeric === "001");
+                    socket.end();
+                });
+            });
+
+            it("report rejected nicknames, notices, and numerics until the end of the MOTD", function () {
+                var socket = IrcSocket(merge(baseConfig, {
+                    nicknames: ["testbot", "testbot_"]
+                }), MockSocket(logfn));
+                var events = [];
+                socket.on("handshake", function (event) { events.push(event); });
+
+                var promise = socket.connect();
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(":irc.test.net NOTICE * :*** Looking up your hostname...\r\n");
+                socket.impl.acceptData(":irc.test.net 433 * testbot :Nickname is already in use.\r\n");
+                socket.impl.acceptData(":irc.test.net 001 testbot_ :Welcome to the Test IRC Network testbot_!testuser@localhost\r\n");
+
+                return promise.then(function () {
+                    socket.impl.acceptData(":irc.test.net 002 testbot_ :Your host is irc.test.net, running version test-1.0\r\n");
+                    socket.impl.acceptData(messages.rpl_isupport_1);
+                    socket.impl.acceptData(":irc.test.net 375 testbot_ :- irc.test.net Message of the Day -\r\n");
+                    socket.impl.acceptData(":irc.test.net 372 testbot_ :- Hello\r\n");
+                    socket.impl.acceptData(":irc.test.net 376 testbot_ :End of /MOTD command.\r\n");
+                    socket.impl.acceptData(":irc.test.net 372 testbot_ :- Not part of registration\r\n");
+
+                    assert(events[1].type === "notice");
+                    assert(events[1].text === "*** Looking up your hostname...");
+                    assert(events[2].type === "nicknameRejected");
+                    assert(equal([events[2].nickname, events[2].numeric, events[2].reason],
+                        ["testbot", "433", "Nickname is already in use."]));
+                    assert(equal(events.slice(3).map(function (event) { return event.numeric; }),
+                        ["001", "002", "005", "375", "372", "376"]));
+                    assert(equal(events[7].params, ["- Hello"]));
+                    socket.end();
+                });
+            });
+        });
+
+        describe("Registration", function () {
+            var registrationLines = [
+                ":irc.test.net 002 testbot :Your host is irc.test.net, running version test-1.0\r\n",
+                ":irc.test.net 004 testbot hub.test.net test-1.1 iowx biklmnopstv\r\n",
+                messages.rpl_isupport_1,
+                ":irc.test.net 396 testbot user/testbot :is now your displayed host\r\n",
+                ":irc.test.net 375 testbot :- irc.test.net Message of the Day -\r\n",
+                ":irc.test.net 372 testbot :- Welcome!\r\n",
+                ":irc.test.net 372 testbot :- Be nice.\r\n",
+                ":testbot MODE testbot :+iwx\r\n",
+                ":testbot MODE testbot :-w\r\n",
+                ":irc.test.net 376 testbot :End of /MOTD command.\r\n"
+            ];
+
+            it("emits 'registered' with what the server told us at the end of the MOTD", function () {
+                var socket = IrcSocket(baseConfig, MockSocket(logfn));
+                var registered = null;
+                socket.on("registered", function (data) { registered = data; });
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    assert(res.ok().server.version === undefined);
+                    assert(registered === null);
+
+                    registrationLines.forEach(function (line) {
+                        socket.impl.acceptData(line);
+                    });
+
+                    assert(equal(registered.server, {
+                        host: "irc.test.net",
+                        port: 6667,
+                        name: "hub.test.net",
+                        version: "test-1.1"
+                    }));
+                    assert(registered.nickname === "testbot");
+                    assert(equal(registered.userModes, ["i", "x"]));
+                    assert(registered.host === "user/testbot");
+                    assert(equal(registered.motd, ["Welcome!", "Be nice."]));
+                    assert(registered.support.CHANTYPES === "#&");
+                    socket.end();
+                });
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise;
+            });
+
+            it("delays ready until the end of the MOTD with readyAfterMotd", function () {
+                var socket = IrcSocket(merge(baseConfig, { readyAfterMotd: true }), MockSocket(logfn));
+                var readies = 0;
+                socket.on("ready", function () { readies += 1; });
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    assert(readies === 1);
+                    assert(res.ok().server.name === "irc.test.net");
+                    assert(res.ok().host === "localhost");
+                    assert(res.ok().motd === null);
+                    assert(equal(res.ok().userModes, ["i"]));
+                    socket.end();
+                });
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(messages.rpl_welcome);
+                socket.impl.acceptData(":irc.test.net 221 testbot +i\r\n");
+                assert(readies === 0);
+                assert(!socket.isReady());
+                socket.impl.acceptData(":irc.test.net 422 testbot :MOTD File is missing\r\n");
+
+                return promise;
+            });
+
+            it("fails with readyAfterMotd when the connection closes before the end of the MOTD", function () {
+                var socket = IrcSocket(merge(baseConfig, { readyAfterMotd: true }), MockSocket(logfn));
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    assert(res.fail() === IrcSocket.connectFailures.killed);
+                });
+
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(messages.rpl_welcome);
+                socket.impl.end();
+
+                return promise;
+            });
+        });
+
+        describe("Failure details", function () {
+            var connectAndReceive = function (config, lines) {
+                var socket = IrcSocket(merge(baseConfig, config), MockSocket(logfn));
+
+                var promise = socket.connect()
+                .then(function (res) {
+                    return { socket: socket, failure: res.fail(), details: socket.getFailureDetails() };
+                });
+
+                socket.impl.acceptConnect();
+                lines.forEach(function (line) {
+                    socket.impl.acceptData(line);
+                });
+
+                return promise;
+            };
+
+            it("includes the nicknames tried and why they were rejected", function () {
+                return connectAndReceive({ nicknames: ["testbot", "bad*bot"] }, [
+                    ":irc.test.net 433 * testbot :Nickname is already in use.\r\n",
+                    ":irc.test.net 432 * bad*bot :Erroneous Nickname\r\n"
+                ])
+                .then(function (result) {
+                    assert(result.failure === IrcSocket.connectFailures.nicknamesUnavailable);
+                    assert(result.details.step === "registration");
+                    assert(result.details.line === ":irc.test.net 432 * bad*bot :Erroneous Nickname");
+                    assert(result.details.numeric === "432");
+                    assert(result.details.reason === "Erroneous Nickname");
+                    assert(equal(result.details.nicknames, [
+                        { nickname: "testbot", numeric: "433", reason: "Nickname is already in use." },
+                        { nickname: "bad*bot", numeric: "432", reason: "Erroneous Nickname" }
+                    ]));
+                });
+            });
+
+            it("fails with banned on ERR_YOUREBANNEDCREEP", function () {
+                return connectAndReceive({}, [
+                    ":irc.test.net 465 testbot :You are banned from this server (Spamming)\r\n",
+                    "ERROR :Closing Link: testbot[localhost] (K-Lined)\r\n"
+                ])
+                .then(function (result) {
+                    assert(result.failure === IrcSocket.connectFailures.banned);
+                    assert(result.details.numeric === "465");
+                    assert(result.details.reason === "You are banned from this server (Spamming)");
+                });
+            });
+
+            it("fails with willBeBanned on ERR_YOUWILLBEBANNED", function () {
+                return connectAndReceive({}, [
+                    ":irc.test.net 466 testbot :You will be banned\r\n"
+                ])
+                .then(function (result) {
+                    assert(result.failure === IrcSocket.connectFailures.willBeBanned);
+                    assert(result.socket.impl.write.lastCall.calledWithExactly("QUIT\r\n", "utf-8"));
+                });
+            });
+
+            it("tells ERROR reasons apart", function () {
+                var expectations = [
+                    ["ERROR :Closing Link: 127.0.0.1 (Throttled: Reconnecting too fast)\r\n", "throttled"],
+                    ["ERROR :Closing Link: testbot[localhost] (G-Lined)\r\n", "banned"],
+                    ["ERROR :Closing Link: testbot[localhost] (Too many host connections (global))\r\n", "serverError"]
+                ];
+
+                return Promise.all(expectations.map(function (expectation) {
+                    return connectAndReceive({}, [expectation[0]])
+                    .then(function (result) {
+                        assert(result.failure === IrcSocket.connectFailures[expectation[1]]);
+                        assert(result.details.line === expectation[0].slice(0, -2));
+                        assert(result.details.numeric === null);
+                    });
+                }));
+            });
+
+            it("includes the SASL mechanism", function () {
+                return connectAndReceive({
+                    sasl: { account: "testaccount", password: "testpassword" }
+                }, [
+                    messages.cap_ls_sasl,
+                    messages.cap_ack_sasl,
+                    messages.authenticate_plus,
+                    messages.err_saslfail
+                ])
+                .then(function (result) {
+                    assert(result.failure === IrcSocket.connectFailures.saslFailed);
+                    assert(result.details.step === "sasl");
+                    assert(result.details.numeric === "904");
+                    assert(result.details.mechanism === "PLAIN");
+                });
+            });
+
+            it("includes missing required capabilities", function () {
+                return connectAndReceive({
+                    capabilities: { requires: ["a", "z"] }
+                }, [
+                    ":irc.test.net CAP * LS :a b\r\n"
+                ])
+                .then(function (result) {
+                    assert(result.failure === IrcSocket.connectFailures.missingRequiredCapabilities);
+                    assert(result.details.step === "capabilities");
+                    assert(equal(result.details.capabilities, ["z"]));
+                });
+            });
+        });
+
+        describe("connectAsync", function () {
+            it("resolves with the ready data", function () {
+                var socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+                var promise = socket.connectAsync();
+                assert(promise instanceof global.Promise);
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                return promise.then(function (data) {
+                    assert(data.nickname === "testbot");
+                    socket.end();
+                });
+            });
+
+            it("rejects with an IrcConnectError", function () {
+                var socket = IrcSocket(merge(baseConfig, { password: "123" }), MockSocket(logfn));
+
+                var promise = socket.connectAsync();
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(messages.err_badpassword);
+
+                return promise.then(function () {
+                    assert(false);
+                }, function (error) {
+                    assert(error instanceof IrcSocket.IrcConnectError);
+                    assert(error instanceof Error);
+                    assert(error.name === "IrcConnectError");
+                    assert(error.code === "badPassword");
+                    assert(error.failure === IrcSocket.connectFailures.badPassword);
+                    assert(error.message === "The server rejected the password.");
+                    assert(typeof error.stack === "string");
+                });
+            });
+
+            it("rejects with the socket's error as the cause", function () {
+                var socket = IrcSocket(baseConfig, MockSocket(logfn));
+                var socketError = new Error("connect ECONNREFUSED");
+                socket.on("error", function () {});
+
+                var promise = socket.connectAsync();
+                socket.impl.emit("error", socketError);
+
+                return promise.then(function () {
+                    assert(false);
+                }, function (error) {
+                    assert(error.code === "socketError");
+                    assert(error.cause === socketError);
+                });
+            });
+        });
+
+        it("Config object is not mutated", function () {
+            var config = Object.freeze({
+                nicknames: Object.freeze(["testbot"]),
+                username: "testuser",
+                server: "irc.test.net",
+                realname: "realbot",
+                port: 6667,
+                socket: MockSocket(logfn)
+            });
+
+            var socket = IrcSocket(config);
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+            });
+
+            socket.impl.acceptConnect();
+            logfn(inspect(socket.impl.write.getCall(0).args));
+            assert(socket.impl.write.getCall(0).calledWithExactly("USER testuser 8 * :realbot\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(1).calledWithExactly("NICK testbot\r\n", "utf-8"));
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+
+        it("connectArgs is passed to connect method", function () {
+            var config = merge(baseConfig, {});
+            var socket = IrcSocket(config, MockSocket(logfn));
+
+            socket.connect();
+            socket.impl.acceptConnect();
+
+            assert(equal(socket.impl.connect.getCall(0).args, [{
+                port: 6667,
+                host: "irc.test.net"
+            }]));
+        });
+
+        it("Failure by .end() before connect event fired", function () {
+            var socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isFail());
+                assert(res.fail() === IrcSocket.connectFailures.socketEnded);
+            });
+            socket.end();
+            socket.impl.acceptConnect();
+
+            return promise;
+        })
+    });
+
+    describe("Capabilities after startup", function () {
+        var socket;
+
+        beforeEach(function () {
+            socket = IrcSocket(merge(baseConfig, {
+                capabilities: {
+                    wants: ["a", "b"]
+                }
+            }), MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(":irc.test.net CAP * LS :a cap-notify\r\n");
+            socket.impl.acceptData(messages.cap_ack_a);
+            socket.impl.acceptData(messages.rpl_welcome);
+            return promise;
+        });
+
+        afterEach(function () {
+            socket.end();
+        });
+
+        it("tracks enabled and advertised capabilities", function () {
+            assert(equal(socket.getCapabilities(), ["a"]));
+            assert(equal(socket.getServerCapabilities(), { a: "", "cap-notify": "" }));
+        });
+
+        it("requests wanted capabilities from CAP NEW", function () {
+            var events = [];
+            socket.on("capabilities", function (change) {
+                events.push(change);
+            });
+
+            socket.impl.acceptData(":irc.test.net CAP testbot NEW :b c\r\n");
+            assert(socket.impl.write.getCall(5).calledWithExactly("CAP REQ :b\r\n", "utf-8"));
+            assert(equal(socket.getServerCapabilities(), { a: "", "cap-notify": "", b: "", c: "" }));
+            socket.impl.acceptData(":irc.test.net CAP testbot ACK :b\r\n");
+
+            assert(equal(socket.getCapabilities(), ["a", "b"]));
+            assert(equal(events, [{ capabilities: ["a", "b"], added: ["b"], removed: [] }]));
+        });
+
+        it("drops capabilities from CAP DEL", function () {
+            var events = [];
+            socket.on("capabilities", function (change) {
+                events.push(change);
+            });
+
+            socket.impl.acceptData(":irc.test.net CAP testbot DEL :a\r\n");
+
+            assert(equal(socket.getCapabilities(), []));
+            assert(equal(socket.getServerCapabilities(), { "cap-notify": "" }));
+            assert(equal(events, [{ capabilities: [], added: [], removed: ["a"] }]));
+        });
+
+        it("requestCapabilities resolves Ok on ACK", function () {
+            var promise = socket.requestCapabilities(["c"])
+            .then(function (res) {
+                assert(res.isOk());
+                assert(equal(res.ok(), ["c"]));
+                assert(equal(socket.getCapabilities(), ["a", "c"]));
+            });
+
+            assert(socket.impl.write.getCall(5).calledWithExactly("CAP REQ :c\r\n", "utf-8"));
+            socket.impl.acceptData(":irc.test.net CAP testbot ACK :c\r\n");
+
+            return promise;
+        });
+
+        it("requestCapabilities resolves Fail on NAK", function () {
+            var promise = socket.requestCapabilities(["c", "d"])
+            .then(function (res) {
+                assert(res.isFail());
+                assert(equal(res.fail(), ["c", "d"]));
+                assert(equal(socket.getCapabilities(), ["a"]));
+            });
+
+            assert(socket.impl.write.getCall(5).calledWithExactly("CAP REQ :c d\r\n", "utf-8"));
+            socket.impl.acceptData(":irc.test.net CAP testbot NAK :c d\r\n");
+
+            return promise;
+        });
+
+        it("requestCapabilities resolves Fail when the socket closes", function () {
+            var promise = socket.requestCapabilities(["c"])
+            .then(function (res) {
+                assert(res.isFail());
+            });
+
+            socket.end();
+
+            return promise;
+        });
+
+        it("releaseCapabilities resolves Ok on ACK", function () {
+            var promise = socket.releaseCapabilities(["a"])
+            .then(function (res) {
+                assert(res.isOk());
+                assert(equal(res.ok(), ["a"]));
+                assert(equal(socket.getCapabilities(), []));
+            });
+
+            assert(socket.impl.write.getCall(5).calledWithExactly("CAP REQ :-a\r\n", "utf-8"));
+            socket.impl.acceptData(":irc.test.net CAP testbot ACK :-a\r\n");
+
+            return promise;
+        });
+    });
+
+    describe("Message parsing", function () {
+        var parse = IrcSocket.parseMessage;
+
+        it("parses a command with params and a trailing param", function () {
+            var message = parse("PRIVMSG #channel :Hello  world :)");
+            assert(message.prefix === null);
+            assert(message.command === "PRIVMSG");
+            assert(equal(message.params, ["#channel", "Hello  world :)"]));
+        });
+
+        it("parses an empty trailing param", function () {
+            assert(equal(parse("TOPIC #channel :").params, ["#channel", ""]));
+        });
+
+        it("parses user prefixes", function () {
+            var prefix = parse(":nick!user@host.net PRIVMSG testbot :hi").prefix;
+            assert(prefix.raw === "nick!user@host.net");
+            assert(prefix.nick === "nick");
+            assert(prefix.user === "user");
+            assert(prefix.host === "host.net");
+            assert(prefix.isServer === false);
+        });
+
+        it("parses server prefixes", function () {
+            var prefix = parse(messages.rpl_welcome.slice(0, -2)).prefix;
+            assert(prefix.nick === null);
+            assert(prefix.host === "irc.test.net");
+            assert(prefix.isServer === true);
+        });
+
+        it("parses and unescapes tags", function () {
+            var message = parse("@a=b\\:c\\sd\\\\;e;+draft/f=\\x\\ :nick PRIVMSG #c :hi");
+            assert(equal(message.tags, { a: "b;c d\\", e: "", "+draft/f": "x" }));
+            assert(message.prefix.nick === "nick");
+            assert(equal(message.params, ["#c", "hi"]));
+        });
+
+        it("converts server-time tags into Dates", function () {
+            var message = parse("@time=2011-10-19T16:40:51.620Z :nick PRIVMSG #c :hi");
+            assert(message.time.getTime() === Date.UTC(2011, 9, 19, 16, 40, 51, 620));
+            assert(parse("@time=garbage PING :x").time === undefined);
+        });
+    });
+
+    describe("'message' events", function () {
+        it("is emitted only when parseMessages is set", function () {
+            var socket = IrcSocket(baseConfig, MockSocket(logfn));
+            var parsingSocket = IrcSocket(merge(baseConfig, { parseMessages: true }), MockSocket(logfn));
+            var messages = [];
+
+            socket.on("message", function () { assert(false); });
+            parsingSocket.on("message", function (message) { messages.push(message); });
+
+            [socket, parsingSocket].forEach(function (socket) {
+                socket.connect();
+                socket.impl.acceptConnect();
+                socket.impl.acceptData("@time=2011-10-19T16:40:51.620Z :irc.test.net 001 testbot :Welcome!\r\n");
+            });
+
+            assert(messages.length === 1);
+            assert(messages[0].command === "001");
+            assert(equal(messages[0].params, ["testbot", "Welcome!"]));
+        });
+
+        it("can be changed by listeners without affecting the socket", function () {
+            return connectSocket({ parseMessages: true })
+            .then(function (socket) {
+                socket.on("message", function (message) {
+                    message.command = message.command.toLowerCase();
+                });
+
+                socket.impl.acceptData(messages.ping);
+                assert(socket.impl.write.lastCall.calledWithExactly("PONG :PINGMESSAGE\r\n", "utf-8"));
+
+                // Emitting data ourselves only reaches listeners.
+                socket.emit("data", ":irc.test.net NOTICE testbot :hi");
+                socket.end();
+            });
+        });
+
+        it("tagged lines do not break the startup handshake", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                capabilities: { wants: ["a"] }
+            }), MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                assert(equal(res.ok().capabilities, ["a"]));
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData("@time=2011-10-19T16:40:51.620Z :irc.test.net CAP * LS :a\r\n");
+            socket.impl.acceptData("@time=2011-10-19T16:40:51.620Z :irc.test.net CAP * ACK a\r\n");
+            socket.impl.acceptData("@time=2011-10-19T16:40:51.620Z :irc.test.net 001 testbot :Welcome!\r\n");
+
+            return promise;
+        });
+    });
+
+    describe("ISUPPORT", function () {
+        var socket;
+
+        beforeEach(function () {
+            socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            return promise;
+        });
+
+        afterEach(function () {
+            socket.end();
+        });
+
+        it("collects and parses tokens", function () {
+            socket.impl.acceptData(messages.rpl_isupport_1);
+            socket.impl.acceptData(messages.rpl_isupport_2);
+
+            var support = socket.getSupport();
+            assert(support.CHANTYPES === "#&");
+            assert(support.CASEMAPPING === "rfc1459");
+            assert(support.NICKLEN === "30");
+            assert(support.EXCEPTS === "");
+            assert(support.NETWORK === "Test Network");
+            assert(equal(support.PREFIX, [{ mode: "o", prefix: "@" }, { mode: "v", prefix: "+" }]));
+            assert(equal(support.CHANMODES, {
+                a: ["b", "e", "I"],
+                b: ["k"],
+                c: ["l"],
+                d: ["i", "m", "n", "t"]
+            }));
+            assert(equal(support.TARGMAX, { PRIVMSG: 4, NOTICE: 4, JOIN: Infinity }));
+        });
+
+        it("handles negated tokens and emits support events", function () {
+            var events = [];
+            socket.on("support", function (event) {
+                events.push(event);
+            });
+
+            socket.impl.acceptData(messages.rpl_isupport_1);
+            socket.impl.acceptData(":irc.test.net 005 testbot -EXCEPTS NICKLEN=31 :are supported by this server\r\n");
+
+            var support = socket.getSupport();
+            assert(!support.hasOwnProperty("EXCEPTS"));
+            assert(support.NICKLEN === "31");
+            assert(events.length === 2);
+            assert(equal(events[1].changed, ["EXCEPTS", "NICKLEN"]));
+            assert(events[1].support.NICKLEN === "31");
+        });
+
+        it("ignores 005 lines without tokens", function () {
+            socket.impl.acceptData(":irc.test.net 005 testbot :Try server irc.test.net, port 6667\r\n");
+            assert(equal(socket.getSupport(), {}));
+        });
+    });
+
+    describe("Nickname tracking", function () {
+        var nicknameInUse = ":irc.test.net 433 * testbot :Nickname is already in use.\r\n";
+        var welcomeFallback = ":irc.test.net 001 testbot_ :Welcome to the Test IRC Network testbot_!testuser@localhost\r\n";
+        var endOfMotd = ":irc.test.net 376 testbot_ :End of /MOTD command.\r\n";
+
+        var lastWrite = function (socket) {
+            return socket.impl.write.lastCall.args[0];
+        };
+
+        // Registers as testbot_ because testbot is in use.
+        var connectAsFallback = function (socket) {
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(nicknameInUse);
+            socket.impl.acceptData(welcomeFallback);
+            return promise;
+        };
+
+        it("follows NICK messages about ourselves", function () {
+            var socket = IrcSocket(baseConfig, MockSocket(logfn));
+            var events = [];
+            socket.on("nick", function (event) {
+                events.push(event);
+            });
+
+            var promise = socket.connect()
+            .then(function () {
+                socket.impl.acceptData(":someone!user@host NICK :someone_else\r\n");
+                assert(socket.getNickname() === "testbot");
+
+                socket.impl.acceptData(":testbot!testuser@localhost NICK :newbot\r\n");
+                assert(socket.getNickname() === "newbot");
+                assert(events.length === 1);
+                assert(equal(events[0], { nickname: "newbot", previousNickname: "testbot" }));
+
+                socket.end();
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+
+        it("follows the target of numerics", function () {
+            var socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net 433 testbot other :Nickname is already in use.\r\n");
+                assert(socket.getNickname() === "testbot");
+
+                socket.impl.acceptData(":irc.test.net 043 renamed testbot :Nickname collision, forcing nick change\r\n");
+                assert(socket.getNickname() === "renamed");
+
+                socket.end();
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+
+        it("recovers the preferred nickname with MONITOR", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                nicknames: ["testbot", "testbot_"],
+                nicknameRecovery: true
+            }), MockSocket(logfn));
+
+            return connectAsFallback(socket)
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net 005 testbot_ MONITOR=100 :are supported by this server\r\n");
+                socket.impl.acceptData(endOfMotd);
+                assert(lastWrite(socket) === "MONITOR + testbot\r\n");
+
+                socket.impl.acceptData(":irc.test.net 730 testbot_ :testbot!user@host\r\n");
+                assert(lastWrite(socket) === "MONITOR + testbot\r\n");
+
+                socket.impl.acceptData(":irc.test.net 731 testbot_ :testbot\r\n");
+                assert(lastWrite(socket) === "NICK testbot\r\n");
+
+                socket.impl.acceptData(":testbot_!testuser@localhost NICK testbot\r\n");
+                assert(socket.getNickname() === "testbot");
+                assert(lastWrite(socket) === "MONITOR - testbot\r\n");
+
+                socket.end();
+            });
+        });
+
+        it("recovers the preferred nickname with ISON", function () {
+            var clock = sinon.useFakeTimers();
+            var socket = IrcSocket(merge(baseConfig, {
+                nicknames: ["testbot", "testbot_"],
+                nicknameRecovery: { interval: 30000 }
+            }), MockSocket(logfn));
+
+            return connectAsFallback(socket)
+            .then(function () {
+                socket.impl.acceptData(endOfMotd);
+                assert(lastWrite(socket) === "ISON testbot\r\n");
+
+                socket.impl.acceptData(":irc.test.net 303 testbot_ :testbot\r\n");
+                assert(lastWrite(socket) === "ISON testbot\r\n");
+
+                socket.impl.write.reset();
+                clock.tick(30000);
+                assert(lastWrite(socket) === "ISON testbot\r\n");
+
+                socket.impl.acceptData(":irc.test.net 303 testbot_ :\r\n");
+                assert(lastWrite(socket) === "NICK testbot\r\n");
+
+                socket.impl.acceptData(":testbot_!testuser@localhost NICK testbot\r\n");
+                socket.impl.write.reset();
+                clock.tick(30000);
+                assert(socket.impl.write.callCount === 0);
+
+                socket.end();
+            })
+            .finally(function () {
+                clock.restore();
+            });
+        });
+
+        it("claims the preferred nickname when its holder quits", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                nicknames: ["testbot", "testbot_"],
+                nicknameRecovery: true
+            }), MockSocket(logfn));
+
+            return connectAsFallback(socket)
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net 422 testbot_ :MOTD File is missing\r\n");
+                socket.impl.acceptData(":TestBot!user@host QUIT :Ping timeout\r\n");
+                assert(lastWrite(socket) === "NICK testbot\r\n");
+
+                socket.end();
+            });
+        });
+
+        it("asks NickServ to regain the preferred nickname", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                nicknames: ["testbot", "testbot_"],
+                nicknameRecovery: {
+                    nickserv: { command: "regain", password: "hunter2" }
+                }
+            }), MockSocket(logfn));
+
+            return connectAsFallback(socket)
+            .then(function () {
+                socket.impl.write.reset();
+                socket.impl.acceptData(endOfMotd);
+                var writes = socket.impl.write.args.map(function (args) { return args[0]; });
+                assert(writes.indexOf("PRIVMSG NickServ :REGAIN testbot hunter2\r\n") !== -1);
+                assert(writes.indexOf("NICK testbot\r\n") === -1);
+
+                socket.end();
+            });
+        });
+
+        it("does not recover when registered with the preferred nickname", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                nicknameRecovery: true
+            }), MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function () {
+                socket.impl.write.reset();
+                socket.impl.acceptData(":irc.test.net 376 testbot :End of /MOTD command.\r\n");
+                assert(socket.impl.write.callCount === 0);
+
+                socket.end();
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+
+        it("rejects unknown NickServ commands", function () {
+            try {
+                IrcSocket(merge(baseConfig, {
+                    nicknameRecovery: { nickserv: "RELEASE" }
+                }), MockSocket(logfn));
+                assert(false);
+            } catch (error) {
+                assert(error.message === "Unknown NickServ recovery command 'RELEASE'.");
+            }
+        });
+    });
+
+    describe("Requests", function () {
+        var connectWithLabels = function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                capabilities: { wants: ["batch", "labeled-response"] }
+            }), MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(":irc.test.net CAP * LS :batch labeled-response\r\n");
+            socket.impl.acceptData(":irc.test.net CAP * ACK :batch labeled-response\r\n");
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise.then(function () { return socket; });
+        };
+
+        it("collects a labeled reply", function () {
+            return connectWithLabels()
+            .then(function (socket) {
+                var promise = socket.request("WHOIS other");
+                assert(socket.impl.write.lastCall.calledWithExactly("@label=1 WHOIS other\r\n", "utf-8"));
+
+                socket.impl.acceptData(":irc.test.net 311 testbot somebody user host * :Somebody\r\n");
+                socket.impl.acceptData("@label=1 :irc.test.net 401 testbot other :No such nick\r\n");
+
+                return promise.then(function (res) {
+                    assert(equal(res.ok(), ["@label=1 :irc.test.net 401 testbot other :No such nick"]));
+                    socket.end();
+                });
+            });
+        });
+
+        it("resolves with no lines on ACK", function () {
+            return connectWithLabels()
+            .then(function (socket) {
+                var promise = socket.request(["PONG", ":unexpected"]);
+                socket.impl.acceptData("@label=1 :irc.test.net ACK\r\n");
+
+                return promise.then(function (res) {
+                    assert(equal(res.ok(), []));
+                    socket.end();
+                });
+            });
+        });
+
+        it("collects labeled batches, including nested batches", function () {
+            return connectWithLabels()
+            .then(function (socket) {
+                var first = socket.request("WHO #chan");
+                var second = socket.request("NAMES #other");
+                assert(socket.impl.write.lastCall.calledWithExactly("@label=2 NAMES #other\r\n", "utf-8"));
+
+                socket.impl.acceptData("@label=2 :irc.test.net BATCH +outer2 labeled-response\r\n");
+                socket.impl.acceptData("@label=1 :irc.test.net BATCH +outer1 labeled-response\r\n");
+                socket.impl.acceptData("@batch=outer1 :irc.test.net 352 testbot #chan user host irc.test.net nick H :0 Real\r\n");
+                socket.impl.acceptData("@batch=outer2 :irc.test.net 353 testbot = #other :nick\r\n");
+                socket.impl.acceptData("@batch=outer1 :irc.test.net BATCH +inner example\r\n");
+                socket.impl.acceptData("@batch=inner :irc.test.net NOTICE testbot :inside\r\n");
+                socket.impl.acceptData("@batch=outer1 :irc.test.net BATCH -inner\r\n");
+                socket.impl.acceptData("@batch=outer1 :irc.test.net 315 testbot #chan :End of WHO list\r\n");
+                socket.impl.acceptData(":irc.test.net BATCH -outer1\r\n");
+
+                return first.then(function (res) {
+                    assert(equal(res.ok(), [
+                        "@batch=outer1 :irc.test.net 352 testbot #chan user host irc.test.net nick H :0 Real",
+                        "@batch=outer1 :irc.test.net BATCH +inner example",
+                        "@batch=inner :irc.test.net NOTICE testbot :inside",
+                        "@batch=outer1 :irc.test.net BATCH -inner",
+                        "@batch=outer1 :irc.test.net 315 testbot #chan :End of WHO list"
+                    ]));
+                    assert(second.isPending());
+
+                    socket.impl.acceptData("@batch=outer2 :irc.test.net 366 testbot #other :End of /NAMES list.\r\n");
+                    socket.impl.acceptData(":irc.test.net BATCH -outer2\r\n");
+                    return second;
+                })
+                .then(function (res) {
+                    assert(res.ok().length === 2);
+                    socket.end();
+                });
+            });
+        });
+
+        it("merges the label into existing tags", function () {
+            return connectWithLabels()
+            .then(function (socket) {
+                socket.request("@+draft/reply=abc PRIVMSG #chan :hi");
+                assert(socket.impl.write.lastCall.calledWithExactly("@label=1;+draft/reply=abc PRIVMSG #chan :hi\r\n", "utf-8"));
+                socket.end();
+            });
+        });
+
+        it("falls back to end numerics without labeled-response", function () {
+            return connectSocket()
+            .then(function (socket) {
+                var who = socket.request("WHO #chan");
+                var whois = socket.request("WHOIS other");
+                assert(socket.impl.write.lastCall.calledWithExactly("WHOIS other\r\n", "utf-8"));
+
+                socket.impl.acceptData(":irc.test.net 352 testbot #chan user host irc.test.net nick H :0 Real\r\n");
+                socket.impl.acceptData(":nick!user@host PRIVMSG #chan :not a reply\r\n");
+                socket.impl.acceptData(":irc.test.net 315 testbot #chan :End of WHO list\r\n");
+                socket.impl.acceptData(":irc.test.net 401 testbot other :No such nick\r\n");
+                socket.impl.acceptData(":irc.test.net 318 testbot other :End of /WHOIS list\r\n");
+
+                return Promise.all([who, whois])
+                .then(function (results) {
+                    assert(equal(results[0].ok(), [
+                        ":irc.test.net 352 testbot #chan user host irc.test.net nick H :0 Real",
+                        ":irc.test.net 315 testbot #chan :End of WHO list"
+                    ]));
+                    assert(results[1].ok().length === 2);
+                    socket.end();
+                });
+            });
+        });
+
+        it("uses configured end numerics", function () {
+            return connectSocket()
+            .then(function (socket) {
+                var promise = socket.request("TIME", { endNumerics: ["391"] });
+                socket.impl.acceptData(":irc.test.net 391 testbot irc.test.net :Sunday January 1 2017\r\n");
+
+                return promise.then(function (res) {
+                    assert(res.ok().length === 1);
+                    socket.end();
+                });
+            });
+        });
+
+        it("fails without labeled-response or end numerics", function () {
+            return connectSocket()
+            .then(function (socket) {
+                return socket.request("TIME")
+                .then(function (res) {
+                    assert(res.fail() === IrcSocket.requestFailures.unsupported);
+                    socket.end();
+                });
+            });
+        });
+
+        it("times out", function () {
+            var clock = sinon.useFakeTimers("setTimeout", "clearTimeout");
+
+            return connectWithLabels()
+            .then(function (socket) {
+                var promise = socket.request("WHO #chan", { timeout: 1000 });
+                clock.tick(1000);
+
+                return promise.then(function (res) {
+                    assert(res.fail() === IrcSocket.requestFailures.timedOut);
+                    socket.end();
+                });
+            })
+            .finally(function () {
+                clock.restore();
+            });
+        });
+
+        it("fails when the socket closes", function () {
+            return connectSocket()
+            .then(function (socket) {
+                var promise = socket.request("WHO #chan");
+                socket.end();
+
+                return promise.then(function (res) {
+                    assert(res.fail() === IrcSocket.requestFailures.closed);
+                });
+            });
+        });
+    });
+
+    describe("Batches", function () {
+        var socket, batches;
+
+        var connect = function (config) {
+            return connectSocket(config)
+            .then(function (connected) {
+                socket = connected;
+                batches = [];
+                socket.on("batch", function (batch) {
+                    batches.push(batch);
+                });
+            });
+        };
+
+        afterEach(function () {
+            socket.end();
+        });
+
+        it("are not assembled unless asked for", function () {
+            return connect({})
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net BATCH +yXNAbvnRHTRBv netsplit irc.hub other.host\r\n");
+                socket.impl.acceptData(":irc.test.net BATCH -yXNAbvnRHTRBv\r\n");
+                assert(batches.length === 0);
+            });
+        });
+
+        it("emits a batch once it closes", function () {
+            var datas = [];
+
+            return connect({ batches: true })
+            .then(function () {
+                socket.on("data", function (line) { datas.push(line); });
+
+                socket.impl.acceptData(":irc.test.net BATCH +yXNAbvnRHTRBv netsplit irc.hub other.host\r\n");
+                socket.impl.acceptData("@batch=yXNAbvnRHTRBv :aji!a@a QUIT :irc.hub other.host\r\n");
+                socket.impl.acceptData(":nick!user@host PRIVMSG #chan :unrelated\r\n");
+                socket.impl.acceptData("@batch=yXNAbvnRHTRBv :nenolod!a@a QUIT :irc.hub other.host\r\n");
+                assert(batches.length === 0);
+                socket.impl.acceptData(":irc.test.net BATCH -yXNAbvnRHTRBv\r\n");
+
+                assert(batches.length === 1);
+                assert(batches[0].reference === "yXNAbvnRHTRBv");
+                assert(batches[0].type === "netsplit");
+                assert(equal(batches[0].params, ["irc.hub", "other.host"]));
+                assert(batches[0].isComplete);
+                assert(equal(batches[0].messages.map(function (message) {
+                    return message.prefix.nick;
+                }), ["aji", "nenolod"]));
+
+                // Lines are still emitted as data events.
+                assert(datas.length === 5);
+            });
+        });
+
+        it("nests batches", function () {
+            return connect({ batches: true })
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net BATCH +outer example.com/foo\r\n");
+                socket.impl.acceptData("@batch=outer :irc.test.net BATCH +inner example.com/bar\r\n");
+                socket.impl.acceptData("@batch=inner :nick!user@host PRIVMSG #chan :inner\r\n");
+                socket.impl.acceptData("@batch=outer :nick!user@host PRIVMSG #chan :outer\r\n");
+                socket.impl.acceptData("@batch=outer :irc.test.net BATCH -inner\r\n");
+                assert(batches.length === 0);
+                socket.impl.acceptData(":irc.test.net BATCH -outer\r\n");
+
+                assert(batches.length === 1);
+                var outer = batches[0];
+                assert(outer.messages.length === 2);
+                assert(outer.messages[0].type === "example.com/bar");
+                assert(outer.messages[0].messages[0].params[1] === "inner");
+                assert(outer.messages[1].params[1] === "outer");
+            });
+        });
+
+        it("gives up on batches with too many lines", function () {
+            return connect({ batches: { maxLines: 3 } })
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net BATCH +ref chathistory #chan\r\n");
+                socket.impl.acceptData("@batch=ref :nick!user@host PRIVMSG #chan :one\r\n");
+                socket.impl.acceptData("@batch=ref :nick!user@host PRIVMSG #chan :two\r\n");
+
+                assert(batches.length === 1);
+                assert(!batches[0].isComplete);
+                assert(batches[0].messages.length === 2);
+
+                socket.impl.acceptData("@batch=ref :nick!user@host PRIVMSG #chan :three\r\n");
+                socket.impl.acceptData(":irc.test.net BATCH -ref\r\n");
+                assert(batches.length === 1);
+            });
+        });
+
+        it("gives up on batches that stay open too long", function () {
+            var clock = sinon.useFakeTimers("setTimeout", "clearTimeout");
+
+            return connect({ batches: { maxAge: 5000 } })
+            .then(function () {
+                socket.impl.acceptData(":irc.test.net BATCH +ref netjoin irc.hub other.host\r\n");
+                clock.tick(4999);
+                assert(batches.length === 0);
+                clock.tick(1);
+                assert(batches.length === 1);
+                assert(!batches[0].isComplete);
+            })
+            .finally(function () {
+                clock.restore();
+            });
+        });
+    });
+
+    describe("quit", function () {
+        var socket;
+
+        beforeEach(function () {
+            socket = IrcSocket(baseConfig, MockSocket(logfn));
+            sinon.spy(socket, "end");
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            return promise;
+        });
+
+        it("waits for ERROR and then ends the socket", function () {
+            var promise = socket.quit("Goodbye.");
+            assert(socket.impl.write.lastCall.calledWithExactly("QUIT :Goodbye.\r\n", "utf-8"));
+            assert(!socket.end.called);
+            assert(socket.quit() === promise);
+
+            socket.impl.acceptData("ERROR :Closing Link: testbot[localhost] (Quit: Goodbye.)\r\n");
+
+            return promise.then(function (closingMessage) {
+                assert(closingMessage === "Closing Link: testbot[localhost] (Quit: Goodbye.)");
+                assert(socket.end.calledOnce);
+                assert(!socket.isConnected());
+            });
+        });
+
+        it("resolves with null when the socket closes without ERROR", function () {
+            var promise = socket.quit();
+            assert(socket.impl.write.lastCall.calledWithExactly("QUIT\r\n", "utf-8"));
+            socket.impl.end();
+
+            return promise.then(function (closingMessage) {
+                assert(closingMessage === null);
+            });
+        });
+
+        it("destroys the socket when the server doesn't answer in time", function () {
+            var clock = sinon.useFakeTimers("setTimeout", "clearTimeout");
+            socket.impl.destroy = sinon.spy(function () {
+                this.emit("close");
+            });
+
+            var promise = socket.quit();
+            clock.tick(10 * 1000);
+            clock.restore();
+
+            return promise.then(function (closingMessage) {
+                assert(closingMessage === null);
+                assert(socket.impl.destroy.calledOnce);
+                assert(!socket.isConnected());
+            });
+        });
+
+        it("resolves immediately when not connected", function () {
+            socket.end();
+
+            return socket.quit()
+            .then(function (closingMessage) {
+                assert(closingMessage === null);
+            });
+        });
+    });
+
+    describe("handles pings", function () {
+        var socket;
+
+        beforeEach(function () {
+            socket = IrcSocket(baseConfig, MockSocket(logfn));
+            
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            return promise;
+        });
+
+        it("responds to pings", function (done) {
+            socket.on("data", function () {
+                assert(socket.impl.write.calledWith("PONG :PINGMESSAGE\r\n", "utf-8"));
+                done();
+            });
+
+            socket.impl.acceptData(messages.ping);
+        });
+    });
+
+    describe("timeouts", function () {
+        var socket, clock;
+        var fiveMinutes = 5 * 60 * 1000;
+        var millisecond = 1;
+
+        var tick = function (milliseconds) {
+            logfn(format("     Timer  [TICK] %s", pad(String(milliseconds))));
+            clock.tick(milliseconds);
+        }
+
+        beforeEach(function () {
+            logfn(format("     Timer  [FAKE]"))
+            clock = sinon.useFakeTimers();
+
+            socket = IrcSocket(baseConfig, MockSocket(logfn));
+            
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+
+        afterEach(function () {
+            logfn(format("     Timer  [REAL]"))
+            clock.restore();
+        });
+
+        it("sends a ping after 5 minutes of no server response", function (done) {
+            setTimeout(function () {
+                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
+                done();
+            }, fiveMinutes);
+
+            tick(fiveMinutes + millisecond);
+        });
+
+        it("stays open if the PING is responded to", function (done) {
+            setTimeout(function () {
+                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
+                socket.impl.acceptData("PONG :ignored\r\n");
+
+                socket.on("timeout", function () {
+                    done("timeout");
+                });
+
+                setTimeout(function () {
+                    assert(socket.isReady());
+                    done();
+                }, fiveMinutes + millisecond);
+
+                tick(fiveMinutes + millisecond);
+            }, fiveMinutes);
+
+            tick(fiveMinutes + millisecond);
+        });
+
+        it("stays open if any data comes in", function (done) {
+            setTimeout(function () {
+                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
+                socket.impl.acceptData("partial message");
+
+                socket.on("timeout", function () {
+                    done("timeout");
+                });
+
+                setTimeout(function () {
+                    assert(socket.isReady());
+                    done();
+                }, fiveMinutes + millisecond);
+
+                tick(fiveMinutes + millisecond);
+            }, fiveMinutes);
+
+            tick(fiveMinutes + millisecond);
+        });
+
+        it("times out if the ping is not responded too within five minutes", function (done) {
+            setTimeout(function () {
+                assert(socket.impl.write.calledWith("PING :ignored\r\n"));
+
+                socket.on("timeout", function () {
+                    done();
+                });
+
+                // NOTE(Havvy): This fails for one or two milliseconds past,
+                //              but not three milliseconds. Not sure why.
+                //              Something about what sinon does.
+                setTimeout(function () {
+                    done("no timeout");
+                }, fiveMinutes + millisecond * 3);
+
+                tick(fiveMinutes + millisecond);
+            }, fiveMinutes);
+
+            tick(fiveMinutes + millisecond);
+        });
+    });
+
+    describe("lag probes", function () {
+        var clock;
+
+        var lastPingToken = function (socket) {
+            var line = socket.impl.write.lastCall.args[0];
+            assert(line.indexOf("PING :irc-socket-lag-") === 0);
+            return line.slice("PING :".length, -2);
+        };
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        it("measure lag with tokens and average it", function () {
+            return connectSocket({ lagProbes: { interval: 10000, samples: 2 } })
+            .then(function (socket) {
+                var lags = [];
+                socket.on("lag", function (event) { lags.push(event); });
+                assert(socket.getLatency() === null);
+
+                clock.tick(10000);
+                var token = lastPingToken(socket);
+
+                // PONGs without the token are ignored.
+                clock.tick(100);
+                socket.impl.acceptData(":irc.test.net PONG irc.test.net :ignored\r\n");
+                assert(lags.length === 0);
+
+                socket.impl.acceptData(format(":irc.test.net PONG irc.test.net :%s\r\n", token));
+                assert(equal(lags[0], { lag: 100, average: 100 }));
+
+                clock.tick(9900);
+                token = lastPingToken(socket);
+                clock.tick(300);
+                socket.impl.acceptData(format(":irc.test.net PONG irc.test.net :%s\r\n", token));
+                assert(equal(lags[1], { lag: 300, average: 200 }));
+
+                clock.tick(9700);
+                token = lastPingToken(socket);
+                clock.tick(500);
+                socket.impl.acceptData(format(":irc.test.net PONG irc.test.net :%s\r\n", token));
+                assert(socket.getLatency() === 400);
+
+                socket.end();
+            });
+        });
+
+        it("are not held back by flood protection", function () {
+            return connectSocket({
+                lagProbes: { interval: 10000 },
+                floodProtection: { burst: 2, refillInterval: 60000 }
+            })
+            .then(function (socket) {
+                socket.raw("PRIVMSG #a :queued");
+                assert(equal(socket.getQueuedLines(), ["PRIVMSG #a :queued"]));
+
+                clock.tick(10000);
+                var token = lastPingToken(socket);
+                clock.tick(100);
+                socket.impl.acceptData(format(":irc.test.net PONG irc.test.net :%s\r\n", token));
+                assert(socket.getLatency() === 100);
+
+                socket.end();
+            });
+        });
+
+        it("do not probe again while a probe is unanswered", function () {
+            return connectSocket({ lagProbes: { interval: 10000 } })
+            .then(function (socket) {
+                clock.tick(10000);
+                var probes = socket.impl.write.callCount;
+                clock.tick(10000);
+                assert(socket.impl.write.callCount === probes);
+
+                socket.end();
+            });
+        });
+
+        it("time out when the lag is more than maxLag", function () {
+            return connectSocket({ lagProbes: { interval: 10000, maxLag: 20000 } })
+            .then(function (socket) {
+                var timedOut = false;
+                socket.on("timeout", function () { timedOut = true; });
+
+                clock.tick(10000);
+                socket.impl.acceptData(":irc.test.net NOTICE testbot :still talking\r\n");
+                clock.tick(19999);
+                assert(!timedOut);
+                clock.tick(1);
+                assert(timedOut);
+                assert(!socket.isConnected());
+            });
+        });
+
+        it("keepalive has separate ping interval and timeout", function () {
+            return connectSocket({ pingInterval: 60000, pingTimeout: 10000 })
+            .then(function (socket) {
+                var timedOut = false;
+                socket.on("timeout", function () { timedOut = true; });
+
+                clock.tick(60000);
+                assert(socket.impl.write.lastCall.calledWithExactly("PING :ignored\r\n", "utf-8"));
+                clock.tick(9999);
+                assert(!timedOut);
+                clock.tick(1);
+                assert(timedOut);
+            });
+        });
+    });
+
+    describe("streams", function () {
+        var socket;
+
+        beforeEach(function () {
+            socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            return promise;
+        });
+
+        afterEach(function () {
+            socket.end();
+        });
+
+        it("lines() can be iterated asynchronously until the socket closes", function () {
+            var iterator = socket.lines()[Symbol.asyncIterator]();
+
+            socket.impl.acceptData(":irc.test.net NOTICE testbot :one\r\n:irc.test.net NOTICE testbot :two\r\n");
+
+            return iterator.next()
+            .then(function (result) {
+                assert(result.value === ":irc.test.net NOTICE testbot :one");
+                return iterator.next();
+            })
+            .then(function (result) {
+                assert(result.value === ":irc.test.net NOTICE testbot :two");
+                socket.end();
+                return iterator.next();
+            })
+            .then(function (result) {
+                assert(result.done);
+            });
+        });
+
+        it("lines() of a closed socket ends immediately", function () {
+            socket.end();
+
+            return socket.lines()[Symbol.asyncIterator]().next()
+            .then(function (result) {
+                assert(result.done);
+            });
+        });
+
+        it("stream() sends written chunks with raw", function (done) {
+            var duplex = socket.stream();
+
+            duplex.write("JOIN #chan", function (error) {
+                assert(!error);
+                assert(socket.impl.write.lastCall.calledWithExactly("JOIN #chan\r\n", "utf-8"));
+
+                duplex.on("error", function (error) {
+                    assert(error.message === "Newline detected in message. Use multiple raws instead.");
+                    done();
+                });
+
+                duplex.write("JOIN #chan\r\nQUIT");
+            });
+        });
+
+        it("stream() can be piped", function (done) {
+            var lines = [];
+            var collector = new (require("stream").Writable)({
+                objectMode: true,
+                write: function (line, encoding, callback) {
+                    lines.push(line);
+                    callback();
+                }
+            });
+
+            collector.on("finish", function () {
+                assert(equal(lines, [":irc.test.net NOTICE testbot :piped"]));
+                done();
+            });
+
+            socket.stream().pipe(collector);
+            socket.impl.acceptData(":irc.test.net NOTICE testbot :piped\r\n");
+            setImmediate(function () {
+                socket.end();
+            });
+        });
+
+        it("pauses the underlying socket while the stream is full", function () {
+            socket.impl.pause = sinon.spy();
+            socket.impl.resume = sinon.spy();
+
+            var readable = socket.lines();
+            for (var index = 0; index < readable.readableHighWaterMark; index++) {
+                socket.impl.acceptData(format(":irc.test.net NOTICE testbot :%d\r\n", index));
+            }
+
+            assert(socket.impl.pause.calledOnce);
+            assert(!socket.impl.resume.called);
+
+            readable.read();
+            return new Promise(function (resolve) { setImmediate(resolve); })
+            .then(function () {
+                assert(socket.impl.resume.calledOnce);
+            });
+        });
+
+        it("stops reading into the stream once the consumer stops early", function () {
+            socket.impl.pause = sinon.spy();
+            socket.impl.resume = sinon.spy();
+
+            var dataListeners = socket.listeners("data").length;
+            var readable = socket.lines();
+            var iterator = readable[Symbol.asyncIterator]();
+
+            socket.impl.acceptData(":irc.test.net NOTICE testbot :one\r\n");
+
+            // Same as breaking out of a `for await` loop.
+            return iterator.next()
+            .then(function () {
+                return iterator.return();
+            })
+            .then(function () {
+                for (var index = 0; index <= readable.readableHighWaterMark; index++) {
+                    socket.impl.acceptData(format(":irc.test.net NOTICE testbot :%d\r\n", index));
+                }
+
+                assert(!socket.impl.pause.called);
+                assert(socket.listeners("data").length === dataListeners);
+            });
+        });
+    });
+
+    describe("registration timeout", function () {
+        var clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        it("gives up when RPL_WELCOME doesn't arrive in time", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                registrationTimeout: 30000
+            }), MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.fail() === IrcSocket.connectFailures.registrationTimedOut);
+                assert(socket.getFailureDetails().step === "registration");
+                assert(socket.getFailureDetails().line === null);
+                assert(socket.impl.write.lastCall.calledWithExactly("QUIT\r\n", "utf-8"));
+                assert(!socket.isConnected());
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(":irc.test.net NOTICE * :*** Looking up your hostname...\r\n");
+            clock.tick(29999);
+            assert(socket.startupPromise.isPending());
+            clock.tick(1);
+
+            return promise;
+        });
+
+        it("says which handshake step it was stuck at", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                registrationTimeout: 30000,
+                sasl: { account: "testaccount", password: "testpassword" }
+            }), MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.fail() === IrcSocket.connectFailures.registrationTimedOut);
+                assert(socket.getFailureDetails().step === "sasl");
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            clock.tick(30000);
+
+            return promise;
+        });
+
+        it("gives up with readyAfterMotd when the MOTD doesn't end in time", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                registrationTimeout: 30000,
+                readyAfterMotd: true
+            }), MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.fail() === IrcSocket.connectFailures.registrationTimedOut);
+                assert(socket.impl.write.lastCall.calledWithExactly("QUIT\r\n", "utf-8"));
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            clock.tick(30000);
+
+            return promise;
+        });
+
+        it("stops once registered", function () {
+            var socket = IrcSocket(merge(baseConfig, {
+                registrationTimeout: 30000
+            }), MockSocket(logfn));
+
+            var promise = socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                clock.tick(30000);
+                assert(socket.isReady());
+                assert(socket.getFailureDetails() === null);
+                socket.end();
+            });
+
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise;
+        });
+    });
+
+    describe("flood protection", function () {
+        var socket, clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers();
+
+            socket = IrcSocket(merge(baseConfig, {
+                floodProtection: {
+                    burst: 2,
+                    refillInterval: 1000,
+                    backlog: 3
+                }
+            }), MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            // USER and NICK used up the burst.
+            assert(socket.impl.write.callCount === 2);
+
+            return promise;
+        });
+
+        afterEach(function () {
+            socket.end();
+            clock.restore();
+        });
+
+        it("queues lines until tokens refill", function () {
+            socket.raw("PRIVMSG #a :1");
+            socket.raw("PRIVMSG #a :2");
+            assert(socket.impl.write.callCount === 2);
+            assert(equal(socket.getQueuedLines(), ["PRIVMSG #a :1", "PRIVMSG #a :2"]));
+
+            clock.tick(999);
+            assert(socket.impl.write.callCount === 2);
+            clock.tick(1);
+            assert(socket.impl.write.getCall(2).calledWithExactly("PRIVMSG #a :1\r\n", "utf-8"));
+            clock.tick(1000);
+            assert(socket.impl.write.getCall(3).calledWithExactly("PRIVMSG #a :2\r\n", "utf-8"));
+            assert(equal(socket.getQueuedLines(), []));
+        });
+
+        it("refills up to the burst size", function () {
+            clock.tick(10000);
+            socket.raw("PRIVMSG #a :1");
+            socket.raw("PRIVMSG #a :2");
+            socket.raw("PRIVMSG #a :3");
+            assert(socket.impl.write.callCount === 4);
+            assert(equal(socket.getQueuedLines(), ["PRIVMSG #a :3"]));
+        });
+
+        it("sends PONG and QUIT without waiting", function () {
+            socket.raw("PRIVMSG #a :1");
+            socket.impl.acceptData(messages.ping);
+            assert(socket.impl.write.getCall(2).calledWithExactly("PONG :PINGMESSAGE\r\n", "utf-8"));
+            socket.raw("QUIT :bye");
+            assert(socket.impl.write.getCall(3).calledWithExactly("QUIT :bye\r\n", "utf-8"));
+            assert(equal(socket.getQueuedLines(), ["PRIVMSG #a :1"]));
+        });
+
+        it("emits backlog once the queue is backlogged", function () {
+            var backlogs = [];
+            socket.on("backlog", function (length) {
+                backlogs.push(length);
+            });
+
+            socket.raw("PRIVMSG #a :1");
+            socket.raw("PRIVMSG #a :2");
+            socket.raw("PRIVMSG #a :3");
+            socket.raw("PRIVMSG #a :4");
+            assert(equal(backlogs, [3]));
+        });
+
+        it("clears queued lines", function () {
+            socket.raw("PRIVMSG #a :1");
+            socket.raw("PRIVMSG #a :2");
+            assert(equal(socket.clearQueue(), ["PRIVMSG #a :1", "PRIVMSG #a :2"]));
+            assert(equal(socket.getQueuedLines(), []));
+
+            clock.tick(5000);
+            assert(socket.impl.write.callCount === 2);
+        });
+
+        it("drops queued lines once ended", function () {
+            socket.end();
+
+            // A socket that takes a while to close after ending.
+            var impl = Object.create(MockSocket(logfn), {
+                end: { value: function () {} }
+            });
+            socket = IrcSocket(merge(baseConfig, {
+                floodProtection: { burst: 2, refillInterval: 1000 }
+            }), impl);
+
+            socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            socket.raw("PRIVMSG #a :1");
+            socket.end();
+            assert(equal(socket.getQueuedLines(), []));
+
+            clock.tick(5000);
+            assert(socket.impl.write.callCount === 2);
+            socket.impl.emit("close");
+        });
+
+        it("charges extra tokens per byte with bytesPerToken", function () {
+            socket.end();
+
+            socket = IrcSocket(merge(baseConfig, {
+                floodProtection: {
+                    burst: 4,
+                    refillInterval: 1000,
+                    bytesPerToken: 10
+                }
+            }), MockSocket(logfn));
+
+            socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            // USER (26 bytes) costs 3 tokens, NICK (12 bytes) costs 2.
+            assert(socket.impl.write.callCount === 1);
+
+            clock.tick(1000);
+            assert(socket.impl.write.getCall(1).calledWithExactly("NICK testbot\r\n", "utf-8"));
+        });
+    });
+
+    describe("Reconnecting", function () {
+        var clock, mocks, client;
+
+        var createSocket = function () {
+            var mock = MockSocket(logfn);
+            mocks.push(mock);
+            return mock;
+        };
+
+        // Resolves after the current Socket's connect result has been handled.
+        var settled = function () {
+            return client.getSocket().startupPromise.then(function () {});
+        };
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers("setTimeout", "clearTimeout");
+            mocks = [];
+            client = IrcSocket.Reconnecting(merge(baseConfig, {
+                reconnect: {
+                    initialDelay: 1000,
+                    jitter: 0
+                }
+            }), createSocket);
+        });
+
+        afterEach(function () {
+            client.end();
+            clock.restore();
+        });
+
+        it("re-emits events and reconnects after closing", function () {
+            var readies = 0;
+            var datas = [];
+
+            client.on("ready", function () { readies += 1; });
+            client.on("data", function (line) { datas.push(line); });
+
+            var promise = client.connect();
+            mocks[0].acceptConnect();
+            mocks[0].acceptData(messages.rpl_welcome);
+
+            return promise.then(function (res) {
+                assert(res.isOk());
+                assert(readies === 1);
+
+                mocks[0].end();
+                clock.tick(999);
+                assert(mocks.length === 1);
+                clock.tick(1);
+                assert(mocks.length === 2);
+
+                mocks[1].acceptConnect();
+                mocks[1].acceptData(messages.rpl_welcome);
+                assert(readies === 2);
+                assert(datas.length === 2);
+                assert(client.getSocket().impl === mocks[1]);
+                assert(client.isReady());
+            });
+        });
+
+        it("retries with exponential backoff when killed", function () {
+            var delays = [];
+            client.on("reconnecting", function (info) {
+                delays.push(info.delay);
+                assert(info.failure === IrcSocket.connectFailures.killed);
+            });
+
+            client.connect();
+            mocks[0].acceptConnect();
+            mocks[0].end();
+
+            return settled()
+            .then(function () {
+                assert(equal(delays, [1000]));
+                clock.tick(1000);
+                mocks[1].acceptConnect();
+                mocks[1].end();
+                return settled();
+            })
+            .then(function () {
+                assert(equal(delays, [1000, 2000]));
+            });
+        });
+
+        it("stops on permanent failures", function () {
+            var stopped = null;
+            client.on("stopped", function (failure) {
+                stopped = failure;
+            });
+
+            var promise = client.connect();
+            mocks[0].acceptConnect();
+            mocks[0].acceptData(messages.err_badpassword);
+
+            return promise.then(function (res) {
+                assert(res.fail() === IrcSocket.connectFailures.badPassword);
+                assert(stopped === IrcSocket.connectFailures.badPassword);
+                clock.tick(60 * 60 * 1000);
+                assert(mocks.length === 1);
+            });
+        });
+
+        it("reports the server in the ready data", function () {
+            var promise = client.connect();
+            mocks[0].acceptConnect();
+            mocks[0].acceptData(messages.rpl_welcome);
+
+            return promise.then(function (res) {
+                assert(equal(res.ok().server, {
+                    host: "irc.test.net",
+                    port: 6667,
+                    name: "irc.test.net"
+                }));
+            });
+        });
+
+        describe("with multiple servers", function () {
+            var configs;
+
+            beforeEach(function () {
+                client.end();
+                configs = [];
+                client = IrcSocket.Reconnecting(merge(baseConfig, {
+                    servers: [
+                        "irc1.test.net",
+                        { server: "irc2.test.net", port: 6697, secure: true }
+                    ],
+                    reconnect: {
+                        initialDelay: 1000,
+                        jitter: 0
+                    }
+                }), function (config) {
+                    configs.push(config);
+                    return createSocket();
+                });
+                client.on("error", function () {});
+            });
+
+            it("fails over to the next server immediately", function () {
+                var reconnects = [];
+                client.on("reconnecting", function (info) {
+                    reconnects.push(info);
+                });
+
+                var error = new Error("connect ECONNREFUSED");
+                var promise = client.connect();
+                assert(configs[0].server === "irc1.test.net");
+                mocks[0].emit("error", error);
+                mocks[0].emit("close");
+
+                return settled()
+                .then(function () {
+                    assert(reconnects.length === 1);
+                    assert(reconnects[0].delay === 0);
+                    assert(reconnects[0].server === "irc2.test.net");
+                    assert(reconnects[0].failure === IrcSocket.connectFailures.socketError);
+
+                    clock.tick(0);
+                    assert(configs[1].server === "irc2.test.net");
+                    assert(configs[1].secure === true);
+                    assert(mocks[1].connect.calledWithMatch({ host: "irc2.test.net", port: 6697 }));
+
+                    var failures = client.getFailures();
+                    assert(failures.length === 1);
+                    assert(failures[0].server === "irc1.test.net");
+                    assert(failures[0].port === 6667);
+                    assert(failures[0].failure === IrcSocket.connectFailures.socketError);
+                    assert(failures[0].error === error);
+
+                    mocks[1].acceptConnect();
+                    mocks[1].acceptData(messages.rpl_welcome);
+                    return promise;
+                })
+                .then(function (res) {
+                    assert(res.ok().server.host === "irc2.test.net");
+                    assert(res.ok().server.port === 6697);
+                    assert(client.getFailures().length === 0);
+                });
+            });
+
+            it("backs off once every server has failed", function () {
+                var delays = [];
+                client.on("reconnecting", function (info) {
+                    delays.push(info.delay);
+                });
+
+                client.connect();
+                mocks[0].acceptConnect();
+                mocks[0].end();
+
+                return settled()
+                .then(function () {
+                    clock.tick(0);
+                    mocks[1].acceptConnect();
+                    mocks[1].end();
+                    return settled();
+                })
+                .then(function () {
+                    assert(equal(delays, [0, 1000]));
+                    assert(equal(client.getFailures().map(function (failure) {
+                        return failure.failure;
+                    }), [IrcSocket.connectFailures.killed, IrcSocket.connectFailures.killed]));
+
+                    clock.tick(1000);
+                    assert(configs[2].server === "irc1.test.net");
+                });
+            });
+
+            it("shuffles the servers", function () {
+                client.end();
+                var random = sinon.stub(Math, "random").returns(0);
+
+                try {
+                    client = IrcSocket.Reconnecting(merge(baseConfig, {
+                        servers: ["irc1.test.net", "irc2.test.net", "irc3.test.net"],
+                        serverOrder: "shuffled"
+                    }), function (config) {
+                        configs.push(config);
+                        return createSocket();
+                    });
+
+                    client.connect();
+                } finally {
+                    random.restore();
+                }
+
+                assert(configs[0].server === "irc2.test.net");
+            });
+        });
+
+        it("rejects connectAsync when stopped", function () {
+            client.on("stopped", function () {});
+
+            var promise = client.connectAsync();
+            mocks[0].acceptConnect();
+            mocks[0].acceptData(messages.err_badpassword);
+
+            return promise.then(function () {
+                assert(false);
+            }, function (error) {
+                assert(error.code === "badPassword");
+            });
+        });
+
+        it("does not reconnect after end()", function () {
+            var promise = client.connect();
+            mocks[0].acceptConnect();
+            mocks[0].acceptData(messages.rpl_welcome);
+
+            return promise.then(function () {
+                client.end();
+                clock.tick(60 * 60 * 1000);
+                assert(mocks.length === 1);
+            });
+        });
+    });
+
+    describe("Encodings", function () {
+        var privmsg = function (bytes) {
+            return Buffer.concat([Buffer.from(":nick!user@host PRIVMSG #chan :"), bytes, Buffer.from("\r\n")]);
+        };
+
+        it("decodes and encodes lines in the configured encoding", function () {
+            return connectSocket({ encoding: "cp1251" })
+            .then(function (socket) {
+                var datas = [];
+                socket.on("data", function (line) { datas.push(line); });
+
+                socket.impl.acceptData(privmsg(Buffer.from("cff0e8e2e5f2", "hex")));
+                assert(datas[0] === ":nick!user@host PRIVMSG #chan :\u041f\u0440\u0438\u0432\u0435\u0442");
+
+                socket.raw("PRIVMSG #chan :\u041f\u0440\u0438\u0432\u0435\u0442");
+                assert(socket.impl.write.getCall(2).calledWithExactly(Buffer.concat([
+                    Buffer.from("PRIVMSG #chan :"),
+                    Buffer.from("cff0e8e2e5f2", "hex"),
+                    Buffer.from("\r\n")
+                ]).toString("latin1"), "latin1"));
+                socket.end();
+            });
+        });
+
+        it("decodes and encodes ISO-2022-JP", function () {
+            return connectSocket({ encoding: "ISO-2022-JP" })
+            .then(function (socket) {
+                var konnichiwa = Buffer.from("1b244224332473244b2441244f1b2842", "hex");
+                var datas = [];
+                socket.on("data", function (line) { datas.push(line); });
+
+                socket.impl.acceptData(privmsg(konnichiwa));
+                assert(datas[0] === ":nick!user@host PRIVMSG #chan :\u3053\u3093\u306B\u3061\u306F");
+
+                socket.raw("PRIVMSG #chan :\u3053\u3093\u306B\u3061\u306F");
+                assert(socket.impl.write.getCall(2).calledWithExactly(Buffer.concat([
+                    Buffer.from("PRIVMSG #chan :"),
+                    konnichiwa,
+                    Buffer.from("\r\n")
+                ]).toString("latin1"), "latin1"));
+                socket.end();
+            });
+        });
+
+        it("falls back per line for lines that aren't UTF-8", function () {
+            return connectSocket({ fallbackEncoding: "koi8-r" })
+            .then(function (socket) {
+                var datas = [];
+                var errors = [];
+                socket.on("data", function (line) { datas.push(line); });
+                socket.on("decodeError", function (error) { errors.push(error); });
+
+                socket.impl.acceptData(Buffer.concat([
+                    privmsg(Buffer.from("f0d2c9d7c5d4", "hex")),
+                    privmsg(Buffer.from("\u041f\u0440\u0438\u0432\u0435\u0442"))
+                ]));
+
+                assert(datas[0] === ":nick!user@host PRIVMSG #chan :\u041f\u0440\u0438\u0432\u0435\u0442");
+                assert(datas[1] === datas[0]);
+                assert(errors.length === 1);
+                assert(errors[0].fallbackEncoding === "koi8-r");
+                assert(errors[0].line === datas[0]);
+                assert(errors[0].bytes.equals(privmsg(Buffer.from("f0d2c9d7c5d4", "hex")).slice(0, -2)));
+
+                // Still sends UTF-8.
+                socket.raw("PRIVMSG #chan :\u041f");
+                assert(socket.impl.write.getCall(2).calledWithExactly("PRIVMSG #chan :\u041f\r\n", "utf-8"));
+                socket.end();
+            });
+        });
+
+        it("reports invalid UTF-8 without a fallback", function () {
+            return connectSocket()
+            .then(function (socket) {
+                var errors = [];
+                socket.on("decodeError", function (error) { errors.push(error); });
+
+                socket.impl.acceptData(privmsg(Buffer.from("ff", "hex")));
+                assert(errors.length === 1);
+                assert(errors[0].line === ":nick!user@host PRIVMSG #chan :\uFFFD");
+                socket.end();
+            });
+        });
+
+        it("decodes characters split between data events", function () {
+            return connectSocket()
+            .then(function (socket) {
+                var datas = [];
+                socket.on("data", function (line) { datas.push(line); });
+
+                var bytes = privmsg(Buffer.from("\u00E9"));
+                socket.impl.acceptData(bytes.slice(0, -3));
+                socket.impl.acceptData(bytes.slice(-3));
+                assert(datas[0] === ":nick!user@host PRIVMSG #chan :\u00E9");
+                socket.end();
+            });
+        });
+
+        it("throws on unknown encodings", function () {
+            try {
+                IrcSocket(merge(baseConfig, { encoding: "not-an-encoding" }), MockSocket(logfn));
+                assert(false);
+            } catch (error) {
+                assert(error.message === "Unknown encoding 'not-an-encoding'.");
+            }
+        });
+    });
+
+    describe("Line length", function () {
+        var socket;
+
+        // ":testbot!testuser@localhost PRIVMSG #chan :" plus CRLF leaves 467 bytes.
+        var maxText = 512 - ":testbot!testuser@localhost PRIVMSG #chan :\r\n".length;
+
+        var text = function (line) {
+            return line.slice("PRIVMSG #chan :".length);
+        };
+
+        beforeEach(function () {
+            socket = IrcSocket(baseConfig, MockSocket(logfn));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+            return promise;
+        });
+
+        afterEach(function () {
+            socket.end();
+        });
+
+        it("raw throws on carriage returns and NULs", function () {
+            ["PRIVMSG #chan :a\rb", "PRIVMSG #chan :a\u0000b"].forEach(function (line) {
+                var threw = false;
+
+                try {
+                    socket.raw(line);
+                } catch (error) {
+                    threw = true;
+                }
+
+                assert(threw);
+            });
+
+            assert(socket.impl.write.callCount === 2);
+        });
+
+        it("splits on word boundaries", function () {
+            var words = [];
+
+            for (var index = 0; index < 200; index++) {
+                words.push("word" + index);
+            }
+
+            var lines = socket.splitMessage("PRIVMSG", "#chan", words.join(" "));
+            assert(lines.length === 4);
+
+            lines.forEach(function (line) {
+                assert(Buffer.byteLength(text(line)) <= maxText);
+                assert(line.indexOf("PRIVMSG #chan :word") === 0);
+            });
+
+            assert(lines.map(text).join(" ") === words.join(" "));
+        });
+
+        it("splits between multi-byte characters", function () {
+            var lines = socket.splitMessage("PRIVMSG", "#chan", new Array(301).join("\u00E9"));
+
+            assert(lines.length === 2);
+            assert(text(lines[0]) === new Array(Math.floor(maxText / 2) + 1).join("\u00E9"));
+            assert(lines.map(text).join("") === new Array(301).join("\u00E9"));
+        });
+
+        it("splits between graphemes", function () {
+            var lines = socket.splitMessage("PRIVMSG", "#chan", new Array(301).join("e\u0301"));
+
+            assert(lines.length === 2);
+            lines.forEach(function (line) {
+                assert(Buffer.byteLength(text(line)) <= maxText);
+                assert(text(line).charAt(0) === "e");
+            });
+        });
+
+        it("splits between graphemes without Intl.Segmenter", function () {
+            var Segmenter = typeof Intl === "object" ? Intl.Segmenter : undefined;
+
+            if (Segmenter) {
+                delete Intl.Segmenter;
+            }
+
+            try {
+                var lines = socket.splitMessage("PRIVMSG", "#chan", new Array(301).join("e\u0301"));
+            } finally {
+                if (Segmenter) {
+                    Intl.Segmenter = Segmenter;
+                }
+            }
+
+            assert(lines.length === 2);
+            lines.forEach(function (line) {
+                assert(text(line).charAt(0) === "e");
+            });
+        });
+
+        it("uses the host from RPL_VISIBLEHOST and CHGHOST", function () {
+            var cloak = new Array(58).join("c");
+
+            socket.impl.acceptData(format(":irc.test.net 396 testbot %s :is now your displayed host\r\n", cloak));
+            var lines = socket.splitMessage("PRIVMSG", "#chan", new Array(501).join("a"));
+            assert(text(lines[0]).length === maxText - (cloak.length - "localhost".length));
+
+            socket.impl.acceptData(format(":testbot!testuser@%s CHGHOST otheruser short.host\r\n", cloak));
+            lines = socket.splitMessage("PRIVMSG", "#chan", new Array(501).join("a"));
+            assert(text(lines[0]).length === maxText + ("localhost".length - "short.host".length) + ("testuser".length - "otheruser".length));
+        });
+
+        it("uses LINELEN from ISUPPORT", function () {
+            socket.impl.acceptData(":irc.test.net 005 testbot LINELEN=100 :are supported by this server\r\n");
+
+            var lines = socket.splitMessage("NOTICE", "#chan", new Array(101).join("a"));
+            var maxNoticeText = 100 - ":testbot!testuser@localhost NOTICE #chan :\r\n".length;
+
+            assert(lines.length === 2);
+            assert(lines[0].length - "NOTICE #chan :".length === maxNoticeText);
+        });
+
+        it("sends each line of the text separately", function () {
+            var lines = socket.privmsg("#chan", "one\ntwo\r\n\nthree");
+
+            assert(equal(lines, ["PRIVMSG #chan :one", "PRIVMSG #chan :two", "PRIVMSG #chan :three"]));
+            assert(socket.impl.write.getCall(2).calledWithExactly("PRIVMSG #chan :one\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(3).calledWithExactly("PRIVMSG #chan :two\r\n", "utf-8"));
+            assert(socket.impl.write.getCall(4).calledWithExactly("PRIVMSG #chan :three\r\n", "utf-8"));
+        });
+    });
+
+    describe("debug logging", function () {
+        // Strips the timestamp from each logged string.
+        var logged = function (debug) {
+            return debug.args.map(function (args) {
+                assert(/^\d{4}-\d\d-\d\dT[\d:.]+Z /.test(args[0]));
+                return args[0].slice(args[0].indexOf(" ") + 1);
+            });
+        };
+
+        it("logs lines with their direction and status transitions", function () {
+            var debug = sinon.spy();
+            var socket = IrcSocket(merge(baseConfig, {socket: MockSocket(logfn), debug: debug}));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise.then(function () {
+                socket.end();
+
+                assert(equal(logged(debug), [
+                    "-- status initialized",
+                    "-- status initialized -> connecting",
+                    "-- status connecting -> starting",
+                    "-> USER testuser 8 * :realbot",
+                    "-> NICK testbot",
+                    "<- " + messages.rpl_welcome.slice(0, -2),
+                    "-- status starting -> running",
+                    "-- status running -> closed"
+                ]));
+            });
+        });
+
+        it("logs closing once when the socket errors", function () {
+            var debug = sinon.spy();
+            var socket = IrcSocket(merge(baseConfig, {socket: MockSocket(logfn), debug: debug}));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise.then(function () {
+                socket.on("error", function () {});
+                socket.impl.emit("error", new Error("read ECONNRESET"));
+                socket.impl.emit("close");
+
+                assert(equal(logged(debug).slice(-1), ["-- status running -> closed"]));
+            });
+        });
+
+        it("redacts PASS and WEBIRC passwords", function () {
+            var debug = sinon.spy();
+            var socket = IrcSocket(merge(baseConfig, {
+                socket: MockSocket(logfn),
+                debug: debug,
+                password: "123456",
+                proxy: {
+                    password: "pword",
+                    username: "uname",
+                    hostname: "hostname.net",
+                    ip: "111.11.11.11"
+                }
+            }));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise.then(function () {
+                var lines = logged(debug);
+                socket.end();
+
+                assert(lines.indexOf("-> WEBIRC <redacted> uname hostname.net 111.11.11.11") !== -1);
+                assert(lines.indexOf("-> PASS <redacted>") !== -1);
+                assert(lines.join("\n").indexOf("pword") === -1);
+                assert(lines.join("\n").indexOf("123456") === -1);
+            });
+        });
+
+        it("redacts AUTHENTICATE payloads but not mechanisms", function () {
+            var debug = sinon.spy();
+            var socket = IrcSocket(merge(baseConfig, {
+                socket: MockSocket(logfn),
+                debug: debug,
+                sasl: {
+                    account: "testaccount",
+                    password: "hunter2"
+                }
+            }));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.cap_ls_sasl);
+            socket.impl.acceptData(messages.cap_ack_sasl);
+            socket.impl.acceptData(messages.authenticate_plus);
+            socket.impl.acceptData(messages.rpl_loggedin);
+            socket.impl.acceptData(messages.rpl_saslsuccess);
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise.then(function () {
+                var lines = logged(debug);
+                socket.end();
+
+                assert(lines.indexOf("-> AUTHENTICATE PLAIN") !== -1);
+                assert(lines.indexOf("<- AUTHENTICATE +") !== -1);
+                assert(lines.indexOf("-> AUTHENTICATE <redacted>") !== -1);
+                assert(lines.join("\n").indexOf("dGVzdGFjY291bnQ") === -1);
+            });
+        });
+
+        it("redacts NickServ passwords", function () {
+            var debug = sinon.spy();
+            var socket = IrcSocket(merge(baseConfig, {socket: MockSocket(logfn), debug: debug}));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome);
+
+            return promise.then(function () {
+                debug.reset();
+                socket.raw("PRIVMSG NickServ :IDENTIFY testaccount hunter2");
+                socket.raw("NS GHOST testbot hunter2");
+                socket.raw("PRIVMSG #channel :IDENTIFY is not a secret here");
+                socket.end();
+
+                assert(equal(logged(debug).slice(0, 3), [
+                    "-> PRIVMSG NickServ :IDENTIFY <redacted>",
+                    "-> NS GHOST <redacted>",
+                    "-> PRIVMSG #channel :IDENTIFY is not a secret here"
+                ]));
+            });
+        });
+    });
+
+    describe("recording and replaying", function () {
+        // Records a session where the server splits a line between chunks.
+        var recordSession = function (config) {
+            var recording = [];
+            var socket = IrcSocket(merge(baseConfig, merge(config || {}, {
+                socket: MockSocket(logfn),
+                record: {
+                    write: function (line) {
+                        recording.push(JSON.parse(line));
+                    }
+                }
+            })));
+
+            var promise = socket.connect();
+            socket.impl.acceptConnect();
+            socket.impl.acceptData(messages.rpl_welcome.slice(0, 20));
+            socket.impl.acceptData(messages.rpl_welcome.slice(20));
+
+            return promise.then(function () {
+                socket.raw("JOIN #test");
+                socket.impl.acceptData(Buffer.from([0x3A, 0xE9, 0x0D, 0x0A]));
+                socket.end();
+                return recording;
+            });
+        };
+
+        var replaySession = function (recording, config) {
+            var replay = IrcSocket.Replay(recording, { writeTimeout: 20 });
+            var socket = IrcSocket(merge(baseConfig, config || {}), replay);
+            var lines = [];
+
+            socket.on("data", function (line) {
+                lines.push(line);
+            });
+
+            return socket.connect()
+            .then(function (res) {
+                assert(res.isOk());
+                socket.raw("JOIN #test");
+
+                return new Promise(function (resolve) {
+                    socket.on("close", resolve);
+                });
+            })
+            .then(function () {
+                return { lines: lines, mismatches: replay.getMismatches() };
+            });
+        };
+
+        it("records chunks as received, writes, and events", function () {
+            return recordSession()
+            .then(function (recording) {
+                assert(recording.every(function (entry) {
+                    return typeof entry.time === "number" && entry.time >= 0;
+                }));
+
+                assert(equal(recording.map(function (entry) {
+                    return [entry.type, entry.data || entry.line || entry.base64];
+                }), [
+                    ["connect", undefined],
+                    ["write", "USER testuser 8 * :realbot"],
+                    ["write", "NICK testbot"],
+                    ["read", messages.rpl_welcome.slice(0, 20)],
+                    ["read", messages.rpl_welcome.slice(20)],
+                    ["write", "JOIN #test"],
+                    ["read", "OukNCg=="],
+                    ["close", undefined]
+                ]));
+            });
+        });
+
+        it("stops recording when the file can't be written to", function (done) {
+            var socket = IrcSocket(merge(baseConfig, {
+                socket: MockSocket(logfn),
+                record: require("path").join(require("os").tmpdir(), "irc-socket-missing", "session.jsonl")
+            }));
+
+            socket.on("recordError", function (error) {
+                assert(error.code === "ENOENT");
+
+                var promise = socket.connect();
+                socket.impl.acceptConnect();
+                socket.impl.acceptData(messages.rpl_welcome);
+
+                promise.then(function (res) {
+                    assert(res.isOk());
+                    socket.end();
+                    done();
+                });
+            });
+        });
+
+        it("appends each socket's session to the file", function () {
+            var path = require("path").join(require("os").tmpdir(), format("irc-socket-%d.jsonl", process.pid));
+            var fs = require("fs");
+
+            if (fs.existsSync(path)) {
+                fs.unlinkSync(path);
+            }
+
+            var closes = function () {
+                return fs.existsSync(path) ? fs.readFileSync(path, "utf-8").split("\"type\":\"close\"").length - 1 : 0;
+            };
+
+            var recordTo = function () {
+                var socket = IrcSocket(merge(baseConfig, { socket: MockSocket(logfn), record: path }));
+                var expectedCloses = closes() + 1;
+
+                socket.connect();
+                socket.impl.acceptConnect();
+                socket.impl.end();
+
+                // Wait for the file to be written.
+                return new Promise(function (resolve) {
+                    var poll = function () {
+                        if (closes() === expectedCloses) {
+                            resolve();
+                        } else {
+                            setTimeout(poll, 5);
+                        }
+                    };
+
+                    poll();
+                });
+            };
+
+            return recordTo()
+            .then(recordTo)
+            .then(function () {
+                var types = fs.readFileSync(path, "utf-8").trim().split("\n").map(function (line) {
+                    return JSON.parse(line).type;
+                });
+
+                assert(equal(types, ["connect", "write", "write", "close", "connect", "write", "write", "close"]));
+            })
+            .finally(function () {
+                fs.unlinkSync(path);
+            });
+        });
+
+        it("redacts secrets from recorded writes", function () {
+            return recordSession({ password: "123456" })
+            .then(function (recording) {
+                assert(recording[1].line === "PASS <redacted>");
+            });
+        });
+
+        it("replays a recording into a fresh Socket", function () {
+            return recordSession({ password: "123456" })
+            .then(function (recording) {
+                return replaySession(recording, { password: "123456" });
+            })
+            .then(function (result) {
+                assert(equal(result.mismatches, []));
+                assert(result.lines.length === 2);
+                assert(result.lines[0] === messages.rpl_welcome.slice(0, -2));
+            });
+        });
+
+        it("flags outbound lines that differ from the recording", function () {
+            var mismatches = [];
+
+            return recordSession()
+            .then(function (recording) {
+                var replay = IrcSocket.Replay(recording.slice(0, -1), { writeTimeout: 20 });
+                replay.on("mismatch", function (mismatch) {
+                    mismatches.push(mismatch);
+                });
+
+                var socket = IrcSocket(merge(baseConfig, { nicknames: ["otherbot"] }), replay);
+                return socket.connect()
+                .then(function () {
+                    socket.raw("PART #test");
+                    socket.raw("QUIT");
+
+                    return new Promise(function (resolve) {
+                        replay.on("replayEnd", resolve);
+                    });
+                })
+                .then(function () {
+                    socket.end();
+                });
+            })
+            .then(function () {
+                assert(equal(mismatches, [
+                    { index: 2, expected: "NICK testbot", actual: "NICK otherbot" },
+                    { index: 5, expected: "JOIN #test", actual: "PART #test" },
+                    { index: null, expected: null, actual: "QUIT" }
+                ]));
+            });
+        });
+
+        it("plays the close recorded after an error", function () {
+            var replay = IrcSocket.Replay([
+                { time: 0, type: "connect" },
+                { time: 1, type: "write", line: "USER testuser 8 * :realbot" },
+                { time: 1, type: "write", line: "NICK testbot" },
+                { time: 2, type: "read", data: messages.rpl_welcome },
+                { time: 3, type: "error", message: "read ECONNRESET" },
+                { time: 3, type: "close" }
+            ]);
+            var socket = IrcSocket(baseConfig, replay);
+            var errors = [];
+            socket.on("error", function (error) { errors.push(error.message); });
+
+            return socket.connect()
+            .then(function () {
+                return Promise.all([
+                    new Promise(function (resolve) { socket.on("close", resolve); }),
+                    new Promise(function (resolve) { replay.on("replayEnd", resolve); })
+                ]);
+            })
+            .then(function () {
+                assert(equal(errors, ["read ECONNRESET"]));
+            });
+        });
+
+        it("flags recorded lines the client never writes", function () {
+            return recordSession()
+            .then(function (recording) {
+                var replay = IrcSocket.Replay(recording, { writeTimeout: 20 });
+                var socket = IrcSocket(baseConfig, replay);
+
+                return socket.connect()
+                .then(function () {
+                    return new Promise(function (resolve) {
+                        socket.on("close", resolve);
+                    });
+                })
+                .then(function () {
+                    assert(equal(replay.getMismatches(), [
+                        { index: 5, expected: "JOIN #test", actual: null }
+                    ]));
+                });
+            });
         });
     });
 